@@ -0,0 +1,155 @@
+/**
+ * Character Agent Context
+ * Builds the context a language model gets when it speaks for a general
+ * (the "Character Agent Context" in DESIGN.md): who the character is, where
+ * their unit stands and what it faces, and the threads that hold their
+ * memories. Everything is plain data taken from the unit's situation
+ * snapshot and the general's OnlyWorlds record.
+ */
+
+import { LLM } from '../constants/llm.js';
+import { RELATION_PAIR, UNIT_STATUS } from '../constants/simulation.js';
+import { TERRAIN_TYPES } from '../constants/terrain.js';
+import { readPersonality } from '../simulation/personality.js';
+import { ATTACK_ASPECT } from '../simulation/facing.js';
+
+// How a relation pair reads from either character's side
+const RELATION_LABELS = {
+    [RELATION_PAIR.RIVALS]: 'Rival',
+    [RELATION_PAIR.FORMER_FRIENDS]: 'Former friend',
+    [RELATION_PAIR.DIVIDED_KIN]: 'Kin',
+    [RELATION_PAIR.FEUD]: 'Feuding with',
+    [RELATION_PAIR.COMRADES]: 'Friend'
+};
+
+/**
+ * Thread IDs for a character, their unit and the battle
+ */
+export function getThreadIds(characterId, unitId, battleId) {
+    return {
+        character: `char_${characterId}`,
+        unit: `unit_${unitId}`,
+        battle: `battle_${battleId}`
+    };
+}
+
+/**
+ * Relations of a character as "Rival: Nikias", from the battle's relation pairs
+ */
+export function describeRelations(characterId, pairs = []) {
+    return pairs.flatMap(pair => {
+        const index = pair.characters.findIndex(character => character.id === characterId);
+        if (index === -1) return [];
+        const other = pair.characters[1 - index];
+        return [`${RELATION_LABELS[pair.type] || 'Related to'}: ${other.name}`];
+    });
+}
+
+/**
+ * Where a unit stands in its army: front, middle or rear toward the enemy,
+ * and its wing, e.g. "front-centre"
+ */
+export function describeLocation(situation) {
+    const { unit, allies, enemies } = situation;
+    const own = [unit, ...allies.filter(ally => ally.status === unit.status)];
+    if (enemies.length === 0 || own.length < 2) {
+        return `middle-${situation.wing}`;
+    }
+
+    const centre = (units) => ({
+        x: units.reduce((total, other) => total + other.x, 0) / units.length,
+        y: units.reduce((total, other) => total + other.y, 0) / units.length
+    });
+    const ownCentre = centre(own);
+    const enemyCentre = centre(enemies);
+    const length = Math.hypot(enemyCentre.x - ownCentre.x, enemyCentre.y - ownCentre.y) || 1;
+    const depth = (other) => ((other.x - ownCentre.x) * (enemyCentre.x - ownCentre.x) +
+        (other.y - ownCentre.y) * (enemyCentre.y - ownCentre.y)) / length;
+
+    const depths = own.map(depth);
+    const min = Math.min(...depths);
+    const max = Math.max(...depths);
+    const share = max > min ? (depth(unit) - min) / (max - min) : 0.5;
+    const rank = share > 2 / 3 ? 'front' : share < 1 / 3 ? 'rear' : 'middle';
+
+    return `${rank}-${situation.wing}`;
+}
+
+/**
+ * Short description of an enemy unit for the model
+ */
+/**
+ * The ground a unit stands on, as a model would name it
+ */
+function describeGround(unit) {
+    return TERRAIN_TYPES[unit.terrain]?.label.toLowerCase() || 'open ground';
+}
+
+function describeEnemy(enemy) {
+    return {
+        id: enemy.id,
+        name: enemy.name,
+        type: enemy.type,
+        soldiers: enemy.soldierCount,
+        morale: Math.round(enemy.morale),
+        status: enemy.status,
+        distance: Math.round(Math.max(0, enemy.gap)),
+        exposed_side: enemy.aspect,
+        ground: describeGround(enemy),
+        ...(enemy.rival ? { rival: true } : {})
+    };
+}
+
+/**
+ * Context for a general deciding their unit's next move
+ * @param {Object} general - The general's OnlyWorlds record as assigned to the unit
+ * @param {Object} situation - Snapshot from BattleSimulator.getSituation()
+ * @param {Object} battle - { id, name, circumstances, site, relations }
+ */
+export function buildCharacterAgentContext(general, situation, battle = {}) {
+    const { unit } = situation;
+    const names = (elements) => (elements || []).map(element => element.name).filter(Boolean);
+    const personality = readPersonality(general);
+    const nearest = [...situation.enemies].sort((a, b) => a.gap - b.gap);
+
+    return {
+        character: {
+            name: general.name,
+            ...Object.fromEntries(Object.entries(personality).filter(([, score]) => score !== null)),
+            abilities: names(general.linked?.abilities),
+            traits: names(general.linked?.traits),
+            relations: describeRelations(general.id, battle.relations),
+            objects: names(general.linked?.objects)
+        },
+        position: {
+            block_id: unit.id,
+            block_name: unit.name,
+            block_type: unit.type,
+            location: describeLocation(situation),
+            role: 'general'
+        },
+        battlefield_context: {
+            battle: battle.name || '',
+            circumstances: battle.circumstances || '',
+            site: battle.site ? [battle.site.name, battle.site.description].filter(Boolean).join(': ') : '',
+            time: Math.round(situation.time),
+            block_status: {
+                soldiers: unit.soldierCount,
+                morale: Math.round(unit.morale),
+                cohesion: Math.round(unit.cohesion * 100) / 100,
+                engaged: unit.engaged,
+                ground: describeGround(unit),
+                order: unit.order?.type || null
+            },
+            commander_intent: situation.intent?.type || null,
+            nearby_threats: nearest.slice(0, LLM.maxThreats).map(describeEnemy),
+            opportunities: nearest
+                .filter(enemy => enemy.aspect !== ATTACK_ASPECT.FRONT || enemy.status !== UNIT_STATUS.ACTIVE || enemy.rival)
+                .slice(0, LLM.maxThreats)
+                .map(describeEnemy)
+        },
+        threads: getThreadIds(general.id, unit.id, battle.id)
+    };
+}
+
+export default buildCharacterAgentContext;
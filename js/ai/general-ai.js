@@ -0,0 +1,143 @@
+/**
+ * LLM General AI
+ * Decision maker (see simulation/orders.js) that lets a language model speak
+ * for each general on the field while the rule-based AI keeps the battle
+ * moving. decide() stays synchronous: it answers with the model's latest
+ * decision for the unit while that is fresh and still fits the field, with
+ * the rules otherwise, and asks the provider for the next decision in the
+ * background. Slow, failing or malformed replies never hold the battle up,
+ * and a general whose requests keep failing is left to the rules for a
+ * while. Units without a living general always follow the rules.
+ */
+
+import { LLM } from '../constants/llm.js';
+import { ORDER_TYPE } from '../simulation/orders.js';
+import RuleBasedAI from '../simulation/unit-ai.js';
+
+export class LLMGeneralAI {
+    /**
+     * @param {Object} config - Battle configuration the generals come from
+     * @param {LLMProvider} provider - See providers.js
+     * @param {Object} options - Optional { fallback: decision maker for everything the model does not decide,
+     *                            threads: ThreadStore the generals remember from and record their decisions in,
+     *                            timeout: milliseconds, onDecision(unitId, decision, context), onError(unitId, error) }
+     */
+    constructor(config, provider, options = {}) {
+        this.provider = provider;
+        this.fallback = options.fallback || new RuleBasedAI();
+        this.threads = options.threads || null;
+        this.timeout = options.timeout ?? LLM.timeout;
+        this.onDecision = options.onDecision || null;
+        this.onError = options.onError || null;
+
+        this.battle = {
+            id: config.id,
+            name: config.name,
+            circumstances: config.circumstances,
+            site: config.site || null,
+            relations: config.relations || []
+        };
+        this.generals = new Map();   // Unit ID -> the general's record as assigned
+        for (const army of config.armies) {
+            for (const unit of army.units || []) {
+                if (unit.general) this.generals.set(unit.id, unit.general);
+            }
+        }
+
+        this.states = new Map();     // Unit ID -> { pending, decision, nextRequest, failures }
+        this.stats = { requests: 0, decisions: 0, failures: 0 };
+    }
+
+    decide(situation) {
+        const general = this.getGeneral(situation);
+        if (!general) {
+            return this.fallback.decide(situation);
+        }
+
+        const state = this.getState(situation.unit.id);
+        if (!state.pending && situation.time >= state.nextRequest) {
+            this.request(state, general, situation);
+        }
+
+        return this.getOrder(state.decision, situation) || this.fallback.decide(situation);
+    }
+
+    /**
+     * The record of the unit's general while they are still with it, else null
+     */
+    getGeneral(situation) {
+        const present = (situation.unit.characters || []).find(character => character.role === 'general');
+        const general = this.generals.get(situation.unit.id);
+        return present && general && general.id === present.id ? general : null;
+    }
+
+    getState(unitId) {
+        if (!this.states.has(unitId)) {
+            this.states.set(unitId, { pending: false, decision: null, nextRequest: 0, failures: 0 });
+        }
+        return this.states.get(unitId);
+    }
+
+    /**
+     * The order of a decision, with its battle cry, if it is fresh and the
+     * unit it names is still there to act on; otherwise null
+     */
+    getOrder(decision, situation) {
+        if (!decision || situation.time - decision.time > LLM.maxDecisionAge) return null;
+
+        const { order } = decision;
+        const otherId = order.type === ORDER_TYPE.WITHDRAW ? order.fromId : order.targetId;
+        if (otherId && !situation.enemies.some(enemy => enemy.id === otherId)) return null;
+
+        return decision.battleCry ? { ...order, cry: decision.battleCry } : order;
+    }
+
+    /**
+     * Ask the provider for the general's next decision. Resolves once the
+     * reply is in, has failed or has timed out; never rejects.
+     */
+    async request(state, general, situation) {
+        const unitId = situation.unit.id;
+        state.pending = true;
+        state.nextRequest = situation.time + LLM.decisionInterval;
+        this.stats.requests++;
+
+        const controller = new AbortController();
+        let timer = null;
+        try {
+            const context = this.provider.buildContext(general, situation, this.battle);
+            const memory = this.threads ? this.threads.getMemory(context.threads) : null;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    controller.abort();
+                    reject(new Error(`LLM request timed out after ${this.timeout} ms`));
+                }, this.timeout);
+            });
+
+            const decision = await Promise.race([
+                this.provider.decide(context, { signal: controller.signal, memory }),
+                timeout
+            ]);
+
+            state.decision = { ...decision, time: situation.time };
+            state.failures = 0;
+            this.stats.decisions++;
+            if (this.threads) this.threads.recordDecision(general.id, this.battle.id, state.decision);
+            if (this.onDecision) this.onDecision(unitId, state.decision, context);
+        } catch (error) {
+            state.failures++;
+            this.stats.failures++;
+            if (state.failures >= LLM.maxFailures) {
+                state.nextRequest = situation.time + LLM.restDuration;
+                state.failures = 0;
+            }
+            console.warn(`LLM decision for ${general.name} failed, the rules decide:`, error.message);
+            if (this.onError) this.onError(unitId, error);
+        } finally {
+            clearTimeout(timer);
+            state.pending = false;
+        }
+    }
+}
+
+export default LLMGeneralAI;
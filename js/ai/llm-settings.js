@@ -0,0 +1,43 @@
+/**
+ * LLM Settings
+ * Which provider speaks for the generals, and how to reach it. Settings,
+ * including the user's own API key, stay in this browser's localStorage;
+ * requests go straight from the browser to the configured endpoint.
+ */
+
+import { LLM, LLM_PROVIDER, LLM_DEFAULTS } from '../constants/llm.js';
+import { OpenAICompatibleProvider, MockLLMProvider } from './providers.js';
+
+export function loadLLMSettings() {
+    try {
+        const saved = localStorage.getItem(LLM.storageKey);
+        return { ...LLM_DEFAULTS, ...(saved ? JSON.parse(saved) : {}) };
+    } catch (error) {
+        console.error('Failed to load LLM settings:', error);
+        return { ...LLM_DEFAULTS };
+    }
+}
+
+export function saveLLMSettings(settings) {
+    try {
+        localStorage.setItem(LLM.storageKey, JSON.stringify({ ...LLM_DEFAULTS, ...settings }));
+        return true;
+    } catch (error) {
+        console.error('Failed to save LLM settings:', error);
+        return false;
+    }
+}
+
+/**
+ * Provider for the settings, or null when the rules decide alone
+ */
+export function createProvider(settings) {
+    switch (settings.provider) {
+        case LLM_PROVIDER.MOCK:
+            return new MockLLMProvider();
+        case LLM_PROVIDER.OPENAI:
+            return new OpenAICompatibleProvider(settings);
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,258 @@
+/**
+ * LLM Providers
+ * A provider turns a general's Character Agent Context (agent-context.js)
+ * into a tactical decision: an order for their unit and a battle cry.
+ * Subclasses only implement complete(messages, { signal }), returning the
+ * model's raw text; prompting and checking the reply are shared, and a reply
+ * that is not a valid decision throws.
+ *
+ *     { order: { type, targetId | fromId }, battleCry, reasoning }
+ *
+ * OpenAICompatibleProvider talks to any chat completions endpoint;
+ * MockLLMProvider answers locally and deterministically from the context.
+ */
+
+import { LLM, LLM_DEFAULTS } from '../constants/llm.js';
+import { ORDER_TYPE } from '../simulation/orders.js';
+import { INTENT_TYPE } from '../simulation/command.js';
+import { hashSeed } from '../simulation/random.js';
+import buildCharacterAgentContext from './agent-context.js';
+
+const SYSTEM_PROMPT = `You are {name}, a general in an ancient Greek battle, leading the block of troops described in the context. Decide your block's next move as this character would, weighing your personality, your relations and what you see.
+
+Reply with a single JSON object and nothing else:
+{
+  "order": "advance" | "hold" | "wheel" | "withdraw",
+  "target_id": the id of an enemy block from nearby_threats or opportunities; null to hold, or to withdraw toward your own lines,
+  "battle_cry": one short line you shout to your men,
+  "reasoning": one sentence
+}
+
+advance: march on the target and fight it. hold: stand your ground. wheel: turn in place to face the target. withdraw: fall back from the target, still facing it.`;
+
+// How each memory thread is introduced to the model
+const MEMORY_HEADINGS = {
+    character: 'What you remember:',
+    unit: 'What your block has been through in this battle:',
+    battle: 'What has happened across the battlefield:'
+};
+
+/**
+ * Pull the first JSON object out of a model's reply, allowing for code
+ * fences or stray text around it
+ */
+function extractJSON(text) {
+    if (typeof text !== 'string') {
+        throw new Error('LLM reply is not text');
+    }
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('LLM reply holds no JSON object');
+    }
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        throw new Error(`LLM reply is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Check a model's reply against the context it was given
+ * @returns {Object} { order, battleCry, reasoning }
+ */
+export function parseDecision(text, context) {
+    const reply = extractJSON(text);
+
+    const type = typeof reply.order === 'string' ? reply.order.trim().toLowerCase() : '';
+    if (!Object.values(ORDER_TYPE).includes(type)) {
+        throw new Error(`LLM reply has an unknown order: ${reply.order}`);
+    }
+
+    const { nearby_threats: threats, opportunities } = context.battlefield_context;
+    const enemies = [...threats, ...opportunities];
+    const wanted = reply.target_id ?? reply.target ?? null;
+    const target = wanted === null ? null : enemies.find(enemy => enemy.id === wanted || enemy.name === wanted);
+    if (wanted !== null && !target) {
+        throw new Error(`LLM reply targets an unknown unit: ${wanted}`);
+    }
+
+    let order;
+    switch (type) {
+        case ORDER_TYPE.ADVANCE:
+        case ORDER_TYPE.WHEEL:
+            if (!target) {
+                throw new Error(`LLM reply gives no target to ${type} on`);
+            }
+            order = { type, targetId: target.id };
+            break;
+        case ORDER_TYPE.WITHDRAW:
+            order = { type, fromId: target ? target.id : null };
+            break;
+        default:
+            order = { type };
+    }
+
+    // The cry is shown in the battle log: no markup, whatever the model sent
+    const cry = typeof reply.battle_cry === 'string'
+        ? reply.battle_cry.replace(/<[^>]*>/g, '').replace(/[<>]/g, '').trim()
+        : '';
+    return {
+        order,
+        battleCry: cry.slice(0, LLM.maxBattleCry),
+        reasoning: typeof reply.reasoning === 'string' ? reply.reasoning.trim() : ''
+    };
+}
+
+export class LLMProvider {
+    /**
+     * Character Agent Context for a general, see agent-context.js
+     */
+    buildContext(general, situation, battle) {
+        return buildCharacterAgentContext(general, situation, battle);
+    }
+
+    /**
+     * Chat messages asking the model for a decision, with what the general
+     * remembers from their threads (see thread-store.js) when given
+     * @param {Object} memory - Optional { character: [...], unit: [...], battle: [...] }
+     */
+    buildMessages(context, memory = null) {
+        const messages = [{ role: 'system', content: SYSTEM_PROMPT.replace('{name}', context.character.name) }];
+
+        const remembered = Object.entries(MEMORY_HEADINGS)
+            .filter(([thread]) => memory?.[thread]?.length > 0)
+            .map(([thread, heading]) => `${heading}\n${memory[thread].join('\n')}`);
+        if (remembered.length > 0) {
+            messages.push({ role: 'system', content: remembered.join('\n\n') });
+        }
+
+        messages.push({ role: 'user', content: JSON.stringify(context) });
+        return messages;
+    }
+
+    /**
+     * Send messages to the model and return its raw reply
+     * @returns {Promise<string>}
+     */
+    async complete(messages, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement complete()`);
+    }
+
+    /**
+     * Ask for a decision and check it
+     * @param {Object} options - Optional { signal, memory }
+     * @returns {Promise<Object>} { order, battleCry, reasoning }
+     */
+    async decide(context, options = {}) {
+        const text = await this.complete(this.buildMessages(context, options.memory), options);
+        return parseDecision(text, context);
+    }
+}
+
+export class OpenAICompatibleProvider extends LLMProvider {
+    /**
+     * @param {Object} settings - { baseUrl, model, apiKey, temperature, maxTokens }
+     */
+    constructor(settings = {}) {
+        super();
+        this.settings = { ...LLM_DEFAULTS, ...settings };
+    }
+
+    async complete(messages, options = {}) {
+        const { baseUrl, model, apiKey, temperature, maxTokens } = this.settings;
+        const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model,
+                messages,
+                temperature,
+                max_tokens: maxTokens,
+                response_format: { type: 'json_object' }
+            }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`LLM request failed: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('LLM response has no message content');
+        }
+        return content;
+    }
+}
+
+// Battle cries of the mock provider; {target} is the unit the order names
+const MOCK_CRIES = {
+    [ORDER_TYPE.ADVANCE]: ['Forward! Break {target}!', 'At them, for our fathers\' graves!', 'Shields up, spears level, on!'],
+    [ORDER_TYPE.WHEEL]: ['Turn, and face {target}!', 'Wheel the line! Let them not take us in the side!'],
+    [ORDER_TYPE.HOLD]: ['Stand fast! Let them come to us.', 'Not one step back!'],
+    [ORDER_TYPE.WITHDRAW]: ['Fall back, in order! Keep your shields to them!', 'Give ground, slowly, slowly!']
+};
+
+export class MockLLMProvider extends LLMProvider {
+    /**
+     * @param {Object} options - { latency: milliseconds before answering, reply: function(context) => text to answer with instead }
+     */
+    constructor(options = {}) {
+        super();
+        this.latency = options.latency || 0;
+        this.reply = options.reply || null;
+    }
+
+    async complete(messages, options = {}) {
+        if (this.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latency));
+        }
+        if (options.signal?.aborted) {
+            throw new Error('LLM request aborted');
+        }
+
+        const context = JSON.parse(messages[messages.length - 1].content);
+        return this.reply ? this.reply(context) : JSON.stringify(this.decideFor(context));
+    }
+
+    /**
+     * The reply a model might give: cautious or shaken generals hold or fall
+     * back, bold ones go for exposed units and rivals first
+     */
+    decideFor(context) {
+        const { character, position } = context;
+        const { block_status: status, nearby_threats: threats, opportunities, commander_intent: intent, time } =
+            context.battlefield_context;
+        const courage = character.courage ?? 50;
+        const caution = character.caution ?? 50;
+        const nearest = threats[0];
+
+        let order = ORDER_TYPE.HOLD;
+        let target = null;
+        if (nearest && status.morale < 20 + caution * 0.4) {
+            if (nearest.distance < 100) {
+                order = ORDER_TYPE.WITHDRAW;
+                target = nearest;
+            }
+        } else if (nearest && !(intent === INTENT_TYPE.HOLD && courage < 70 && nearest.distance > 100)) {
+            order = ORDER_TYPE.ADVANCE;
+            target = opportunities.find(enemy => enemy.rival) || (courage >= 50 && opportunities[0]) || nearest;
+        }
+
+        const cries = MOCK_CRIES[order];
+        const cry = cries[hashSeed(`${character.name}|${position.block_id}|${time}`) % cries.length];
+        return {
+            order,
+            target_id: target ? target.id : null,
+            battle_cry: cry.replace('{target}', target ? target.name : 'them'),
+            reasoning: `${character.name} sees ${threats.length} enemy blocks and morale at ${status.morale}.`
+        };
+    }
+}
+
+export default LLMProvider;
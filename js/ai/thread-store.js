@@ -0,0 +1,298 @@
+/**
+ * Thread Store
+ * The memory behind the LLM contexts (the thread hierarchy in DESIGN.md): a
+ * character thread per OnlyWorlds character (`char_${id}`), a unit thread
+ * per unit (`unit_${id}`) and a battle thread per battle (`battle_${id}`).
+ * Battle events and the generals' decisions are appended as the fight
+ * unfolds, and each thread is trimmed to its token budget, oldest first,
+ * sparing memories of earlier battles until nothing else is left.
+ * When a battle ends, each character's part in it is condensed into one
+ * memory. Threads are kept in localStorage; character threads are keyed by
+ * the OnlyWorlds character ID, so a general carries their memories of
+ * earlier battles into the next one.
+ */
+
+import { THREADS } from '../constants/llm.js';
+import { describeCharacterFate } from '../battle-chronicle.js';
+
+export const MESSAGE_KIND = {
+    EVENT: 'event',          // Something that happened in the battle being fought
+    DECISION: 'decision',    // A general's own decision, from the model
+    MEMORY: 'memory'         // What a character took away from a finished battle
+};
+
+const THREAD_PREFIXES = {
+    char_: 'character',
+    unit_: 'unit',
+    battle_: 'battle'
+};
+
+/**
+ * Rough token count of a text
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / THREADS.charsPerToken);
+}
+
+/**
+ * 'character', 'unit' or 'battle' from a thread ID
+ */
+export function getThreadKind(threadId) {
+    const prefix = Object.keys(THREAD_PREFIXES).find(candidate => threadId.startsWith(candidate));
+    return prefix ? THREAD_PREFIXES[prefix] : null;
+}
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60).toString().padStart(2, '0');
+    const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+    return `${minutes}:${secs}`;
+}
+
+export class ThreadStore {
+    /**
+     * @param {Storage} storage - Where threads are kept, localStorage by default
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.threads = new Map();   // Thread ID -> { id, metadata, messages, updated }
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = this.storage?.getItem(THREADS.storageKey);
+            const threads = saved ? JSON.parse(saved) : [];
+            this.threads = new Map(threads.map(thread => [thread.id, thread]));
+        } catch (error) {
+            console.error('Failed to load memory threads:', error);
+            this.threads = new Map();
+        }
+    }
+
+    save() {
+        this.prune();
+        try {
+            this.storage?.setItem(THREADS.storageKey, JSON.stringify([...this.threads.values()]));
+            return true;
+        } catch (error) {
+            console.error('Failed to save memory threads:', error);
+            return false;
+        }
+    }
+
+    /**
+     * A thread, created when missing; metadata given is merged into it
+     */
+    getThread(threadId, metadata = null) {
+        if (!this.threads.has(threadId)) {
+            this.threads.set(threadId, { id: threadId, metadata: {}, messages: [], updated: Date.now() });
+        }
+        const thread = this.threads.get(threadId);
+        if (metadata) {
+            thread.metadata = { ...thread.metadata, ...metadata };
+        }
+        return thread;
+    }
+
+    getMessages(threadId) {
+        return this.threads.has(threadId) ? [...this.threads.get(threadId).messages] : [];
+    }
+
+    /**
+     * Add a message to a thread and trim the thread to its budget
+     * @param {Object} message - { role: 'user'|'assistant', content, kind, battleId, time }
+     */
+    append(threadId, message, metadata = null) {
+        const thread = this.getThread(threadId, metadata);
+        const entry = { role: 'user', kind: MESSAGE_KIND.EVENT, ...message };
+        thread.messages.push(entry);
+        thread.updated = Date.now();
+        this.trim(thread);
+        return entry;
+    }
+
+    /**
+     * Drop the oldest messages until the thread fits its token budget.
+     * Events and decisions go before any memory, so a long battle cannot
+     * crowd out what a character remembers of earlier ones; the oldest
+     * memories go only once nothing else is left. A single message over
+     * budget is cut short instead.
+     */
+    trim(thread) {
+        const budget = THREADS.budgets[getThreadKind(thread.id)] ?? THREADS.budgets.battle;
+        let total = thread.messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+
+        while (total > budget && thread.messages.length > 1) {
+            const index = thread.messages.findIndex(message => message.kind !== MESSAGE_KIND.MEMORY);
+            const [dropped] = thread.messages.splice(Math.max(index, 0), 1);
+            total -= estimateTokens(dropped.content);
+        }
+        if (total > budget) {
+            const [message] = thread.messages;
+            message.content = message.content.slice(0, budget * THREADS.charsPerToken);
+        }
+    }
+
+    removeMessages(threadId, predicate) {
+        const thread = this.threads.get(threadId);
+        if (thread) {
+            thread.messages = thread.messages.filter(message => !predicate(message));
+        }
+    }
+
+    remove(threadId) {
+        this.threads.delete(threadId);
+    }
+
+    /**
+     * Keep at most THREADS.maxThreads, dropping the least recently used unit
+     * and battle threads first
+     */
+    prune() {
+        const excess = this.threads.size - THREADS.maxThreads;
+        if (excess <= 0) return;
+
+        const byAge = [...this.threads.values()].sort((a, b) => {
+            const aCharacter = getThreadKind(a.id) === 'character';
+            const bCharacter = getThreadKind(b.id) === 'character';
+            return aCharacter === bCharacter ? a.updated - b.updated : (aCharacter ? 1 : -1);
+        });
+        byAge.slice(0, excess).forEach(thread => this.threads.delete(thread.id));
+    }
+
+    /**
+     * Message texts of the threads named in an agent context's `threads`
+     * @returns {Object} { character: [...], unit: [...], battle: [...] }
+     */
+    getMemory(threadIds) {
+        const memory = {};
+        for (const [kind, threadId] of Object.entries(threadIds || {})) {
+            memory[kind] = this.getMessages(threadId).map(message => message.content);
+        }
+        return memory;
+    }
+
+    /**
+     * Start recording a battle: its battle and unit threads start empty, and
+     * character threads lose what an unfinished earlier run of it left
+     */
+    beginBattle(config) {
+        const battleThread = `battle_${config.id}`;
+        this.remove(battleThread);
+        this.getThread(battleThread, {
+            name: config.name,
+            armies: config.armies.map(army => army.playerName)
+        });
+
+        for (const army of config.armies) {
+            for (const unit of army.units || []) {
+                const characters = [
+                    ...(unit.general ? [{ ...unit.general, role: 'general' }] : []),
+                    ...(unit.soldiers || []).map(soldier => ({ ...soldier, role: 'soldier' }))
+                ];
+                this.remove(`unit_${unit.id}`);
+                this.getThread(`unit_${unit.id}`, {
+                    block_id: unit.id,
+                    unit_type: unit.type,
+                    characters: characters.map(({ id, name, role }) => ({ id, name, role }))
+                });
+
+                for (const character of characters) {
+                    const threadId = `char_${character.id}`;
+                    this.getThread(threadId, { character_id: character.id, name: character.name });
+                    this.removeMessages(threadId, message =>
+                        message.battleId === config.id && message.kind !== MESSAGE_KIND.MEMORY
+                    );
+                }
+            }
+        }
+    }
+
+    /**
+     * Append a battle event to the battle thread, the threads of the units
+     * involved and those of the characters named in it
+     */
+    recordEvent(event, battleId) {
+        const message = {
+            content: `[${formatTime(event.time)}] ${event.text}`,
+            kind: MESSAGE_KIND.EVENT,
+            battleId: battleId,
+            time: event.time
+        };
+
+        this.append(`battle_${battleId}`, message);
+        for (const unitId of new Set([event.unitId, event.targetId].filter(Boolean))) {
+            this.append(`unit_${unitId}`, message);
+        }
+
+        const characters = [...(event.characters || []), ...(event.targetCharacters || [])];
+        for (const id of new Set(characters.map(character => character.id))) {
+            this.append(`char_${id}`, message);
+        }
+    }
+
+    /**
+     * Keep a general's decision in their own thread, as their own words
+     */
+    recordDecision(characterId, battleId, decision) {
+        const { order } = decision;
+        const target = order.targetId || order.fromId;
+        const parts = [
+            `[${formatTime(decision.time)}] I ordered ${order.type}${target ? ` (${target})` : ''}.`,
+            decision.reasoning,
+            decision.battleCry ? `I cried: "${decision.battleCry}"` : ''
+        ];
+
+        this.append(`char_${characterId}`, {
+            role: 'assistant',
+            content: parts.filter(Boolean).join(' '),
+            kind: MESSAGE_KIND.DECISION,
+            battleId: battleId,
+            time: decision.time
+        });
+    }
+
+    /**
+     * Condense each character's part in a finished battle into one memory,
+     * replacing what they recorded during it, and save
+     */
+    endBattle(config, result) {
+        const date = new Date().toISOString().slice(0, 10);
+
+        for (const character of result.characters) {
+            const threadId = `char_${character.id}`;
+            this.removeMessages(threadId, message => message.battleId === config.id);
+
+            const part = character.role === 'general'
+                ? `I led ${character.unitName}`
+                : `I fought in the ranks of ${character.unitName}`;
+            let side = '';
+            if (result.winner !== null) {
+                side = result.winner === character.armyIndex ? ' and we won' : ' and we were beaten';
+            }
+            const foes = result.characters
+                .filter(other => other.armyIndex !== character.armyIndex && other.role === 'general')
+                .map(other => other.name);
+            const against = foes.length > 0 ? ` against ${foes.join(', ')}` : '';
+            const fate = describeCharacterFate(character).replace(/^was /, 'I was ').replace(/^(came|fled)/, 'I $1');
+
+            this.append(threadId, {
+                content: `${date}: At ${config.name}${against}, ${part}${side}. ${fate}.`,
+                kind: MESSAGE_KIND.MEMORY,
+                battleId: config.id
+            }, { character_id: character.id, name: character.name });
+        }
+
+        const outcome = result.winner === null ? 'a draw' : `victory for ${config.armies[result.winner].playerName}`;
+        this.append(`battle_${config.id}`, {
+            content: `The battle ended in ${outcome} after ${formatTime(result.duration)}.`,
+            kind: MESSAGE_KIND.EVENT,
+            battleId: config.id,
+            time: result.duration
+        });
+
+        this.save();
+    }
+}
+
+export default ThreadStore;
@@ -356,7 +356,7 @@ export default class OnlyWorldsAPI {
                     resolved[`${field}_resolved`] = [];
                     for (const id of element[field]) {
                         try {
-                            const elementType = field.replace('_ids', '').replace(/s$/, '');
+                            const elementType = field.replace('_ids', '').replace(/ies$/, 'y').replace(/s$/, '');
                             if (ONLYWORLDS.ELEMENT_TYPES.includes(elementType)) {
                                 const resolvedElement = await this.getElement(elementType, id);
                                 resolved[`${field}_resolved`].push(resolvedElement);
@@ -12,6 +12,7 @@ import {
     validateUnitSize,
     getUnitVisualSize 
 } from './constants/units.js';
+import { getDeploymentZone, getZoneBounds, isInsideZone } from './deployment-zones.js';
 
 export class ArmyBuilder {
     constructor(playerId) {
@@ -60,7 +61,8 @@ export class ArmyBuilder {
             name: `${unitType.name} ${this.army.units.length + 1}`,
             soldierCount: soldierCount,
             formation: formation,
-            position: this.getDefaultPosition(),
+            position: this.getDefaultPosition(formation),
+            facing: null,   // Compass degrees; null faces the enemy when battle starts
             cost: cost,
             general: null,
             soldiers: [],
@@ -126,9 +128,10 @@ export class ArmyBuilder {
     }
     
     /**
-     * Resize unit based on visual drag
+     * Resize unit based on visual drag, moving it to newPosition when given
+     * (dragging a left or top handle moves the block too)
      */
-    resizeUnit(unitId, newWidth, newHeight) {
+    resizeUnit(unitId, newWidth, newHeight, newPosition = null) {
         const unit = this.army.units.find(u => u.id === unitId);
         if (!unit) {
             return { success: false, error: 'Unit not found' };
@@ -147,18 +150,26 @@ export class ArmyBuilder {
             return { success: false, error: validation.error };
         }
         
+        // The resized block must still fit its place
+        const formation = { width: newFormationWidth, depth: newFormationDepth };
+        const position = newPosition || unit.position;
+        const placement = this.validatePlacement(unitId, position, formation);
+        if (!placement.valid) {
+            return { success: false, error: placement.error };
+        }
+        
         // Update unit
         return this.updateUnit(unitId, {
             soldierCount: newSoldierCount,
-            formation: { width: newFormationWidth, depth: newFormationDepth }
+            formation: formation,
+            position: { ...position }
         });
     }
     
     /**
-     * Get default position for new unit
+     * Size of the canvas units are placed on
      */
-    getDefaultPosition() {
-        // Get canvas size for centering
+    getCanvasSize() {
         const canvas = this.unitCanvas ? this.unitCanvas.canvas : null;
         let canvasWidth = 800; // fallback
         let canvasHeight = 600; // fallback
@@ -168,9 +179,32 @@ export class ArmyBuilder {
             canvasHeight = canvas.offsetHeight || canvas.clientHeight;
         }
         
+        return { width: canvasWidth, height: canvasHeight };
+    }
+    
+    /**
+     * This player's deployment zone as [x, y] points on the canvas, or null
+     * when they may deploy anywhere
+     */
+    getDeploymentZone() {
+        const zone = getDeploymentZone(battleConfig.getConfig().deployment, this.playerId);
+        if (!zone) return null;
+        
+        const { width, height } = this.getCanvasSize();
+        return zone.map(([x, y]) => [x * width, y * height]);
+    }
+    
+    /**
+     * Get default position for new unit, inside the player's deployment zone
+     */
+    getDefaultPosition(formation) {
+        const { width: canvasWidth, height: canvasHeight } = this.getCanvasSize();
+        const zone = this.getDeploymentZone();
+        const bounds = zone ? getZoneBounds(zone) : { left: 0, top: 0, right: canvasWidth, bottom: canvasHeight };
+        
         // Calculate center position
-        const centerX = canvasWidth / 2;
-        const centerY = canvasHeight / 2;
+        const centerX = (bounds.left + bounds.right) / 2;
+        const centerY = (bounds.top + bounds.bottom) / 2;
         
         // Place units in a grid pattern around center
         const unitCount = this.army.units.length;
@@ -182,10 +216,20 @@ export class ArmyBuilder {
         const gridOffsetX = (col - 2) * gridSpacing; // -2 to center the 5-column grid
         const gridOffsetY = (row - 1) * gridSpacing; // -1 to start slightly above center
         
-        return {
+        const position = {
             x: Math.max(20, centerX + gridOffsetX - 60), // -60 to account for unit width, min 20px margin
             y: Math.max(20, centerY + gridOffsetY - 40)  // -40 to account for unit height, min 20px margin
         };
+        if (!zone || !formation) {
+            return position;
+        }
+        
+        // Keep the whole block inside the zone
+        const size = getUnitVisualSize(formation);
+        return {
+            x: Math.round(Math.max(bounds.left, Math.min(position.x, bounds.right - size.width))),
+            y: Math.round(Math.max(bounds.top, Math.min(position.y, bounds.bottom - size.height)))
+        };
     }
     
     /**
@@ -204,19 +248,26 @@ export class ArmyBuilder {
     }
     
     /**
-     * Validate unit placement
+     * Validate unit placement, at its current formation or a new one
      */
-    validatePlacement(unitId, newPosition) {
+    validatePlacement(unitId, newPosition, newFormation = null) {
         const unit = this.army.units.find(u => u.id === unitId);
         if (!unit) {
             return { valid: false, error: 'Unit not found' };
         }
+        const formation = newFormation || unit.formation;
+        
+        // Check the unit stays inside the player's deployment zone
+        const zone = this.getDeploymentZone();
+        if (zone && !isInsideZone(zone, { ...newPosition, ...getUnitVisualSize(formation) })) {
+            return { valid: false, error: 'Units must deploy inside your deployment zone' };
+        }
         
         // Check collision with other units
         for (const otherUnit of this.army.units) {
             if (otherUnit.id === unitId) continue;
             
-            const testUnit = { ...unit, position: newPosition };
+            const testUnit = { ...unit, formation: formation, position: newPosition };
             if (this.checkCollision(testUnit, otherUnit)) {
                 return { valid: false, error: 'Units cannot overlap' };
             }
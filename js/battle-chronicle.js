@@ -0,0 +1,182 @@
+/**
+ * Battle Chronicle Module
+ * Writes a finished battle back into the OnlyWorlds world: an `event` element
+ * for the battle itself and a `narrative` element telling how it went, both
+ * linked to the characters who fought in it.
+ */
+
+import { VICTORY_CONDITION, CHARACTER_FATE } from './constants/simulation.js';
+import { BATTLE_EVENT } from './simulation/events.js';
+
+// Battle events worth a line in the written account
+const KEY_EVENTS = [
+    BATTLE_EVENT.ROUT,
+    BATTLE_EVENT.RALLY,
+    BATTLE_EVENT.DESTROYED,
+    BATTLE_EVENT.GENERAL_FELL,
+    BATTLE_EVENT.CAPTURED,
+    BATTLE_EVENT.ABILITY,
+    BATTLE_EVENT.DIALOGUE,
+    BATTLE_EVENT.COMMAND
+];
+
+const MAX_KEY_EVENTS = 15;
+
+const OUTCOME_TEXT = {
+    [VICTORY_CONDITION.ANNIHILATION]: 'no enemy unit was left fighting',
+    [VICTORY_CONDITION.ROUT]: 'the enemy army broke and ran',
+    [VICTORY_CONDITION.COMMANDER]: 'the enemy commander was killed or taken',
+    [VICTORY_CONDITION.OBJECTIVE]: 'the objective was held',
+    [VICTORY_CONDITION.TIME]: 'the fighting wore on until neither side could go on'
+};
+
+const FATE_TEXT = {
+    [CHARACTER_FATE.UNHURT]: 'came through unhurt',
+    [CHARACTER_FATE.WOUNDED]: 'was wounded',
+    [CHARACTER_FATE.CAPTURED]: 'was taken prisoner',
+    [CHARACTER_FATE.KILLED]: 'was killed',
+    [CHARACTER_FATE.FLED]: 'fled the field'
+};
+
+/**
+ * What became of a character, as the end of a sentence: "was wounded and fled the field"
+ */
+export function describeCharacterFate(character) {
+    if (character.wounded && character.fate !== CHARACTER_FATE.WOUNDED) {
+        return `was wounded and ${FATE_TEXT[character.fate].replace(/^was /, '')}`;
+    }
+    return FATE_TEXT[character.fate];
+}
+
+export class BattleChronicle {
+    /**
+     * @param {OnlyWorldsAPI} apiService - Authenticated API service
+     */
+    constructor(apiService) {
+        this.api = apiService;
+    }
+
+    /**
+     * IDs of every character who fought, each once
+     */
+    getCharacterIds(result) {
+        return [...new Set(result.characters.map(character => character.id))];
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+        return `${minutes}:${secs}`;
+    }
+
+    /**
+     * One sentence on who won and why
+     */
+    describeOutcome(config, result) {
+        const duration = this.formatTime(result.duration);
+        if (result.winner === null) {
+            const reason = result.condition === VICTORY_CONDITION.TIME
+                ? OUTCOME_TEXT[VICTORY_CONDITION.TIME]
+                : 'both armies were spent';
+            return `After ${duration}, neither side could claim the field: ${reason}.`;
+        }
+        return `After ${duration}, ${config.armies[result.winner].playerName} carried the field: ${OUTCOME_TEXT[result.condition]}.`;
+    }
+
+    /**
+     * Written account of the battle: the armies, the outcome, the turning
+     * points from the event log and what became of each character
+     */
+    buildSummary(config, result, events = []) {
+        const paragraphs = [];
+
+        if (config.circumstances) {
+            paragraphs.push(config.circumstances);
+        }
+
+        const [first, second] = result.armies;
+        const place = config.site ? ` at ${config.site.name}` : '';
+        paragraphs.push([
+            `${first.playerName} (${first.initialSoldiers} men) met ${second.playerName} (${second.initialSoldiers} men)${place}.`,
+            this.describeOutcome(config, result),
+            ...result.armies.map(army =>
+                `${army.playerName} lost ${army.casualties} men and saw ${army.unitsRouted} of ${army.units.length} units routed.`
+            )
+        ].join(' '));
+
+        const moments = events.filter(event => KEY_EVENTS.includes(event.type)).slice(0, MAX_KEY_EVENTS);
+        if (moments.length > 0) {
+            paragraphs.push(moments.map(event => `${this.formatTime(event.time)} ${event.text}`).join('\n'));
+        }
+
+        if (result.characters.length > 0) {
+            paragraphs.push(result.characters.map(character => {
+                const role = character.role === 'general' ? 'general' : 'soldier';
+                return `${character.name}, ${role} of ${character.unitName}, ${describeCharacterFate(character)}.`;
+            }).join('\n'));
+        }
+
+        return paragraphs.join('\n\n');
+    }
+
+    /**
+     * Event element for the battle, named and described from the battle config
+     * and linked to the location it was fought at
+     */
+    buildEventElement(config, result) {
+        return {
+            name: config.name,
+            description: config.circumstances || '',
+            supertype: 'battle',
+            characters_ids: this.getCharacterIds(result),
+            locations_ids: config.site?.locationId ? [config.site.locationId] : []
+        };
+    }
+
+    /**
+     * Narrative element carrying the battle summary, linked to its event
+     */
+    buildNarrativeElement(config, result, events, eventId) {
+        return {
+            name: `Account of ${config.name}`,
+            description: this.describeOutcome(config, result),
+            story: this.buildSummary(config, result, events),
+            events_ids: eventId ? [eventId] : [],
+            characters_ids: this.getCharacterIds(result)
+        };
+    }
+
+    /**
+     * Create the event and narrative elements in the connected world. Given
+     * the ID of an event an earlier attempt created, only the narrative is
+     * written, linked to that event.
+     * @returns {Promise<Object>} { success, event, narrative, error }
+     */
+    async publish(config, result, events = [], eventId = null) {
+        if (!this.api.auth.checkAuth()) {
+            return { success: false, error: 'Connect to your OnlyWorlds world first' };
+        }
+
+        let event = eventId ? { id: eventId } : null;
+        try {
+            if (!event) {
+                event = await this.api.createElement('event', this.buildEventElement(config, result));
+            }
+            const narrative = await this.api.createElement(
+                'narrative',
+                this.buildNarrativeElement(config, result, events, event.id)
+            );
+            return { success: true, event, narrative };
+        } catch (error) {
+            return {
+                success: false,
+                event,
+                error: event
+                    ? `The battle event was created but its narrative failed: ${error.message}`
+                    : error.message
+            };
+        }
+    }
+}
+
+export default BattleChronicle;
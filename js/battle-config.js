@@ -3,10 +3,13 @@
  * Manages battle state across pages and provides persistence
  */
 
+import { normalizeTerrain } from './simulation/terrain.js';
+
 class BattleConfigService {
     constructor() {
         this.config = null;
         this.storageKey = 'battleConfig';
+        this.replayStorageKey = 'battleReplay';
         this.load();
     }
     
@@ -28,6 +31,9 @@ class BattleConfigService {
             id: this.generateId(),
             name: 'Unnamed Battle',
             circumstances: '',
+            terrain: { regions: [] },
+            deployment: { mode: 'thirds' },
+            enemyVisibility: 'points',
             players: [
                 { name: 'Player 1', maxPoints: 1000 },
                 { name: 'Player 2', maxPoints: 1000 }
@@ -126,6 +132,132 @@ class BattleConfigService {
         this.save();
     }
     
+    /**
+     * Record the battlefield size units were placed on.
+     * Keeps the largest size seen so neither player's units fall off the field.
+     */
+    setBattlefieldSize(width, height) {
+        const current = this.config.battlefield || { width: 0, height: 0 };
+        this.config.battlefield = {
+            width: Math.max(current.width, Math.round(width)),
+            height: Math.max(current.height, Math.round(height))
+        };
+        this.save();
+    }
+
+    /**
+     * Store the battlefield's terrain regions (see simulation/terrain.js)
+     */
+    setTerrain(terrain) {
+        this.config.terrain = normalizeTerrain(terrain);
+        this.save();
+    }
+
+    /**
+     * Store the relation pairs between assigned characters found before the
+     * battle (see simulation/relations.js)
+     */
+    setRelations(pairs) {
+        this.config.relations = pairs;
+        this.save();
+    }
+
+    /**
+     * Store the outcome of a finished battle. Fighting the battle again
+     * (watching it again, restarting it) keeps the chronicle of the earlier
+     * outcome, so the battle is never written to the world twice.
+     */
+    setResult(result) {
+        const chronicle = this.config.result?.chronicle;
+        this.config.result = {
+            ...result,
+            completed_at: new Date().toISOString()
+        };
+        if (chronicle) {
+            this.config.result.chronicle = chronicle;
+        }
+        this.save();
+    }
+
+    /**
+     * Remember the OnlyWorlds elements a battle result was written to, so it
+     * is only written once. Without a narrative ID the chronicle is not
+     * finished: only the narrative is left to write.
+     */
+    setChronicle(eventId, narrativeId) {
+        if (!this.config.result) return;
+        this.config.result.chronicle = {
+            event_id: eventId,
+            narrative_id: narrativeId || null
+        };
+        this.save();
+    }
+
+    /**
+     * Store the replay of the last battle fought, next to the configuration
+     */
+    saveReplay(replay) {
+        try {
+            localStorage.setItem(this.replayStorageKey, JSON.stringify(replay));
+            return true;
+        } catch (error) {
+            console.error('Failed to save battle replay:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the saved replay, if it belongs to the current battle
+     */
+    loadReplay() {
+        try {
+            const saved = localStorage.getItem(this.replayStorageKey);
+            const replay = saved ? JSON.parse(saved) : null;
+            return replay && replay.battleId === this.config.id ? replay : null;
+        } catch (error) {
+            console.error('Failed to load battle replay:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Download a replay as a JSON file
+     */
+    exportReplay(replay) {
+        const dataStr = JSON.stringify(replay);
+        const blob = new Blob([dataStr], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `replay-${(replay.name || 'battle').replace(/\s+/g, '-')}-${Date.now()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Read a replay file. Validation is left to the replay player.
+     */
+    async importReplay(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            
+            reader.onload = (e) => {
+                try {
+                    resolve(JSON.parse(e.target.result));
+                } catch (error) {
+                    reject(new Error('Replay file is not valid JSON'));
+                }
+            };
+            
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsText(file);
+        });
+    }
+    
     /**
      * Get army for specific player (0 or 1)
      */
@@ -159,6 +291,7 @@ class BattleConfigService {
             soldierCount: unit.soldierCount,
             formation: unit.formation,
             position: unit.position,
+            facing: unit.facing ?? null,
             cost: unit.cost,
             general: unit.general || null,
             soldiers: unit.soldiers || [],
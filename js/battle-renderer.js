@@ -0,0 +1,314 @@
+/**
+ * Battle Renderer Module
+ * Draws simulation state onto a 2D canvas. Holds no battle logic of its own.
+ */
+
+import { UNIT_TYPES, UNIT_SHAPES, ARMY_COLORS } from './constants/units.js';
+import { UNIT_STATUS, MORALE } from './constants/simulation.js';
+import { TERRAIN_TYPES, TERRAIN } from './constants/terrain.js';
+
+export class BattleRenderer {
+    constructor(canvasElement) {
+        this.canvas = canvasElement;
+        this.ctx = canvasElement.getContext('2d');
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.pixelRatio = 1;
+        this.field = null;
+    }
+
+    /**
+     * Size the canvas to its container and fit the field inside it
+     */
+    resize(field) {
+        this.field = field;
+
+        const container = this.canvas.parentElement;
+        const ratio = window.devicePixelRatio || 1;
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+
+        this.canvas.width = width * ratio;
+        this.canvas.height = height * ratio;
+        this.canvas.style.width = width + 'px';
+        this.canvas.style.height = height + 'px';
+
+        this.scale = Math.min(width / field.width, height / field.height);
+        this.offsetX = (width - field.width * this.scale) / 2;
+        this.offsetY = (height - field.height * this.scale) / 2;
+        this.pixelRatio = ratio;
+    }
+
+    /**
+     * Draw a full frame
+     */
+    render(state) {
+        const ctx = this.ctx;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Work in field coordinates from here on
+        ctx.setTransform(
+            this.scale * this.pixelRatio, 0,
+            0, this.scale * this.pixelRatio,
+            this.offsetX * this.pixelRatio, this.offsetY * this.pixelRatio
+        );
+
+        this.drawField(state.field);
+        if (state.terrain) {
+            this.drawTerrain(state.terrain);
+        }
+        if (state.objective) {
+            this.drawObjective(state.objective);
+        }
+
+        for (const unit of state.units) {
+            if (unit.status === UNIT_STATUS.DESTROYED || unit.status === UNIT_STATUS.FLED) continue;
+            this.drawUnit(unit);
+        }
+
+        this.drawVolleys(state.units);
+    }
+
+    /**
+     * Dashed tracers from skirmishers to the unit they just threw at
+     */
+    drawVolleys(units) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.setLineDash([4, 4]);
+        ctx.lineWidth = 1.5;
+        for (const unit of units) {
+            if (!unit.firingAt) continue;
+            const target = units.find(u => u.id === unit.firingAt);
+            if (!target) continue;
+
+            ctx.strokeStyle = ARMY_COLORS[unit.armyIndex] || '#000000';
+            ctx.beginPath();
+            ctx.moveTo(unit.x, unit.y);
+            ctx.lineTo(target.x, target.y);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw the ground and grid, matching the setup canvas
+     */
+    drawField(field) {
+        const ctx = this.ctx;
+
+        ctx.fillStyle = '#f0e6d2';
+        ctx.fillRect(0, 0, field.width, field.height);
+
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.05)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = 50; x < field.width; x += 50) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, field.height);
+        }
+        for (let y = 50; y < field.height; y += 50) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(field.width, y);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Terrain regions tinted by type, each named at its centre by its own
+     * name or its type's
+     */
+    drawTerrain(regions) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        for (const region of regions) {
+            const terrainType = TERRAIN_TYPES[region.type];
+            if (!terrainType) continue;
+
+            ctx.beginPath();
+            region.points.forEach(([x, y], index) => {
+                if (index === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.closePath();
+            ctx.globalAlpha = TERRAIN.opacity;
+            ctx.fillStyle = terrainType.color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = terrainType.color;
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+
+            const centreX = region.points.reduce((total, [x]) => total + x, 0) / region.points.length;
+            const centreY = region.points.reduce((total, [, y]) => total + y, 0) / region.points.length;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+            ctx.font = 'italic 11px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(region.name || terrainType.label, centreX, centreY);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Objective circle, tinted by the army holding it, with a ring showing
+     * how long it has been held
+     */
+    drawObjective(objective) {
+        const ctx = this.ctx;
+        const color = objective.holder !== null ? ARMY_COLORS[objective.holder] : '#666666';
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(objective.x, objective.y, objective.radius, 0, Math.PI * 2);
+        ctx.globalAlpha = 0.15;
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        const progress = Math.min(1, objective.heldFor / objective.holdSeconds);
+        if (progress > 0) {
+            ctx.setLineDash([]);
+            ctx.lineWidth = 5;
+            ctx.beginPath();
+            ctx.arc(objective.x, objective.y, objective.radius + 4, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Trace a unit's block outline using the shared unit shapes
+     */
+    traceUnitShape(unit) {
+        const ctx = this.ctx;
+        const left = unit.x - unit.width / 2;
+        const top = unit.y - unit.height / 2;
+        const shape = UNIT_SHAPES[unit.type];
+
+        ctx.beginPath();
+        if (!shape) {
+            ctx.rect(left, top, unit.width, unit.height);
+            return;
+        }
+
+        shape.forEach(([px, py], index) => {
+            const x = left + (px / 100) * unit.width;
+            const y = top + (py / 100) * unit.height;
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.closePath();
+    }
+
+    /**
+     * Draw a single unit block with its soldier count and name
+     */
+    drawUnit(unit) {
+        const ctx = this.ctx;
+        const unitType = UNIT_TYPES[unit.type];
+
+        // Routing units fade out as they run
+        ctx.globalAlpha = unit.status === UNIT_STATUS.ROUTING ? 0.5 : 1;
+
+        this.traceUnitShape(unit);
+        ctx.fillStyle = unitType.color;
+        ctx.fill();
+        ctx.strokeStyle = ARMY_COLORS[unit.armyIndex] || '#000000';
+        ctx.lineWidth = unit.engaged ? 4 : 2;
+        ctx.stroke();
+
+        // Soldier count inside the block
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(unit.soldierCount), unit.x, unit.y);
+
+        // Name below the block
+        ctx.fillStyle = '#333333';
+        ctx.font = '600 10px sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.fillText(unit.name, unit.x, unit.y + unit.height / 2 + 4);
+
+        this.drawFacing(unit);
+        this.drawMoraleBar(unit);
+        if (unit.isCommander) {
+            this.drawCommanderMark(unit);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Chevron just outside the block edge, pointing where the unit faces.
+     * Drawn in red while the unit is being struck in the flank or rear.
+     */
+    drawFacing(unit) {
+        const ctx = this.ctx;
+        const cos = Math.cos(unit.facing);
+        const sin = Math.sin(unit.facing);
+        const edge = Math.min(
+            cos === 0 ? Infinity : unit.width / 2 / Math.abs(cos),
+            sin === 0 ? Infinity : unit.height / 2 / Math.abs(sin)
+        );
+        const tipX = unit.x + cos * (edge + 9);
+        const tipY = unit.y + sin * (edge + 9);
+        const baseX = unit.x + cos * (edge + 3);
+        const baseY = unit.y + sin * (edge + 3);
+
+        ctx.beginPath();
+        ctx.moveTo(baseX - sin * 5, baseY + cos * 5);
+        ctx.lineTo(tipX, tipY);
+        ctx.lineTo(baseX + sin * 5, baseY - cos * 5);
+        ctx.strokeStyle = unit.attackedFrom ? '#D62828' : (ARMY_COLORS[unit.armyIndex] || '#000000');
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    /**
+     * Gold disc on the corner of the army commander's block
+     */
+    drawCommanderMark(unit) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        ctx.arc(unit.x - unit.width / 2, unit.y - unit.height / 2, 5, 0, Math.PI * 2);
+        ctx.fillStyle = '#E0B000';
+        ctx.fill();
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    /**
+     * Thin bar above the block: green when steady, red near breaking
+     */
+    drawMoraleBar(unit) {
+        const ctx = this.ctx;
+        const width = unit.width;
+        const left = unit.x - width / 2;
+        const top = unit.y - unit.height / 2 - 7;
+        const share = Math.max(0, Math.min(1, unit.morale / MORALE.initial));
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.fillRect(left, top, width, 4);
+        ctx.fillStyle = `hsl(${Math.round(share * 120)}, 70%, 40%)`;
+        ctx.fillRect(left, top, width * share, 4);
+    }
+}
+
+export default BattleRenderer;
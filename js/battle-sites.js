@@ -0,0 +1,203 @@
+/**
+ * Battle Sites Module
+ * Lets a battle happen somewhere in the OnlyWorlds world. Loads the world's
+ * locations and maps, with the zones, pins and markers laid on those maps,
+ * and turns the location or map the organizer picks into the battle site:
+ * its name, description and image go into the battle configuration, and
+ * the zones and pins on its map become terrain regions (see
+ * simulation/terrain.js) or the objective, by what they are called.
+ */
+
+import { TERRAIN_TYPES, BATTLE_SITE } from './constants/terrain.js';
+
+// Key in the loaded elements -> [API element type, key in an imported world]
+const SITE_ELEMENTS = {
+    locations: ['location', 'Location'],
+    maps: ['map', 'Map'],
+    zones: ['zone', 'Zone'],
+    pins: ['pin', 'Pin'],
+    markers: ['marker', 'Marker']
+};
+
+/**
+ * Locations, maps, zones, pins and markers of the current world: from an
+ * imported world when there is one, otherwise through the API when connected
+ * @returns {Promise<Object|null>} { locations, maps, zones, pins, markers }, or null when there is no world to read
+ */
+export async function loadSiteElements(apiService) {
+    const storedData = localStorage.getItem('onlyworlds_import_data');
+    if (storedData) {
+        try {
+            const data = JSON.parse(storedData);
+            if (data.elements) {
+                return Object.fromEntries(Object.entries(SITE_ELEMENTS).map(([key, [, imported]]) =>
+                    [key, data.elements[imported] || []]
+                ));
+            }
+        } catch (error) {
+            console.warn('Could not read imported locations and maps:', error);
+        }
+    }
+
+    if (apiService && apiService.auth.checkAuth()) {
+        const entries = await Promise.all(Object.entries(SITE_ELEMENTS).map(async ([key, [type]]) => {
+            try {
+                return [key, await apiService.getElements(type)];
+            } catch (error) {
+                console.warn(`Could not load ${type} elements:`, error);
+                return [key, []];
+            }
+        }));
+        return Object.fromEntries(entries);
+    }
+    return null;
+}
+
+/**
+ * ID an element links to through a field, whether it arrives as an ID, an
+ * `_id` field or a full element
+ */
+function getLinkId(element, field) {
+    const value = element?.[field] ?? element?.[`${field}_id`];
+    return typeof value === 'string' ? value : value?.id || null;
+}
+
+function matchesKeywords(element, keywords) {
+    const text = [element.name, element.supertype, element.subtype]
+        .filter(value => typeof value === 'string')
+        .join(' ')
+        .toLowerCase();
+    return keywords.some(keyword => new RegExp(`\\b${keyword}`).test(text));
+}
+
+/**
+ * Terrain type a zone or pin stands for, or null
+ */
+export function classifyTerrain(element) {
+    const match = Object.entries(BATTLE_SITE.terrainKeywords)
+        .find(([, keywords]) => matchesKeywords(element, keywords));
+    return match ? match[0] : null;
+}
+
+function hasPosition(element) {
+    return Number.isFinite(Number(element.x)) && Number.isFinite(Number(element.y));
+}
+
+/**
+ * Function placing a pin or marker on the field, as [x, y] shares: by the
+ * map's size when it has one, else by the spread of what is pinned on it
+ */
+function createProjection(map, positioned) {
+    let left = 0;
+    let top = 0;
+    let width = Number(map.width);
+    let height = Number(map.height);
+
+    if (!(width > 0 && height > 0) && positioned.length > 0) {
+        const xs = positioned.map(element => Number(element.x));
+        const ys = positioned.map(element => Number(element.y));
+        const spanX = Math.max(...xs) - Math.min(...xs) || 1;
+        const spanY = Math.max(...ys) - Math.min(...ys) || 1;
+        left = Math.min(...xs) - spanX * BATTLE_SITE.mapMargin;
+        top = Math.min(...ys) - spanY * BATTLE_SITE.mapMargin;
+        width = spanX * (1 + 2 * BATTLE_SITE.mapMargin);
+        height = spanY * (1 + 2 * BATTLE_SITE.mapMargin);
+    }
+
+    const share = (value) => Math.round(Math.max(0, Math.min(1, value)) * 1000) / 1000;
+    return (element) => [share((Number(element.x) - left) / width), share((Number(element.y) - top) / height)];
+}
+
+/**
+ * Outline around a set of points: their convex hull, or an octagon around
+ * them when they are too few to enclose anything
+ */
+function outlinePoints(points) {
+    const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const half = (list) => {
+        const hull = [];
+        for (const point of list) {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+                hull.pop();
+            }
+            hull.push(point);
+        }
+        hull.pop();
+        return hull;
+    };
+    const hull = sorted.length >= 3 ? [...half(sorted), ...half([...sorted].reverse())] : [];
+    if (hull.length >= 3) return hull;
+
+    const centreX = points.reduce((total, [x]) => total + x, 0) / points.length;
+    const centreY = points.reduce((total, [, y]) => total + y, 0) / points.length;
+    return Array.from({ length: 8 }, (_, index) => {
+        const angle = index / 8 * Math.PI * 2;
+        return [
+            Math.round((centreX + Math.cos(angle) * BATTLE_SITE.pinRadius) * 1000) / 1000,
+            Math.round((centreY + Math.sin(angle) * BATTLE_SITE.pinRadius) * 1000) / 1000
+        ];
+    });
+}
+
+/**
+ * Battle site from a chosen location or map. A location brings the first
+ * map drawn of it, and a map the location it shows.
+ * @param {Object} choice - { type: 'location'|'map', id }
+ * @param {Object} elements - From loadSiteElements()
+ * @returns {Object} { site, terrain: { regions } or null, objective: { x, y, name } or null }
+ */
+export function buildBattleSite(choice, elements) {
+    const { locations = [], maps = [], zones = [], pins = [], markers = [] } = elements || {};
+    const chosen = (choice.type === 'map' ? maps : locations).find(element => element.id === choice.id);
+    if (!chosen) {
+        throw new Error(`Unknown battle site: ${choice.type} ${choice.id}`);
+    }
+
+    const map = choice.type === 'map' ? chosen : maps.find(candidate => getLinkId(candidate, 'location') === chosen.id) || null;
+    const location = choice.type === 'location' ? chosen : locations.find(candidate => candidate.id === getLinkId(map, 'location')) || null;
+
+    const site = {
+        type: choice.type,
+        id: chosen.id,
+        name: chosen.name || 'Unnamed site',
+        description: chosen.description || location?.description || map?.description || '',
+        imageUrl: chosen.image_url || map?.image_url || location?.image_url || null,
+        locationId: location?.id || null,
+        mapId: map?.id || null
+    };
+    if (!map) {
+        return { site, terrain: null, objective: null };
+    }
+
+    const onMap = (element) => getLinkId(element, 'map') === map.id;
+    const mapPins = pins.filter(onMap).filter(hasPosition);
+    const mapMarkers = markers.filter(onMap).filter(hasPosition);
+    const project = createProjection(map, [...mapPins, ...mapMarkers]);
+
+    const regions = [];
+    for (const zone of zones.filter(onMap)) {
+        const type = classifyTerrain(zone);
+        const corners = mapMarkers.filter(marker => getLinkId(marker, 'zone') === zone.id).map(project);
+        if (type && corners.length > 0) {
+            regions.push({ id: `zone-${zone.id}`, type, name: zone.name, points: outlinePoints(corners) });
+        }
+    }
+
+    let objective = null;
+    for (const pin of mapPins) {
+        const type = classifyTerrain(pin);
+        if (type) {
+            regions.push({ id: `pin-${pin.id}`, type, name: pin.name, points: outlinePoints([project(pin)]) });
+        } else if (!objective && matchesKeywords(pin, BATTLE_SITE.objectiveKeywords)) {
+            const [x, y] = project(pin);
+            objective = { x, y, name: pin.name };
+        }
+    }
+
+    // Later regions win where they overlap: lay them in terrain type order, fords over rivers
+    const layers = Object.keys(TERRAIN_TYPES);
+    regions.sort((a, b) => layers.indexOf(a.type) - layers.indexOf(b.type));
+
+    return { site, terrain: regions.length > 0 ? { regions } : null, objective };
+}
@@ -0,0 +1,63 @@
+/**
+ * Character Links Module
+ * Loads the abilities, traits and objects linked to an OnlyWorlds character
+ * through OnlyWorldsAPI.resolveReferences, keeping the parts battle effects
+ * need: id, name and supertype.
+ */
+
+import { EFFECT_LINK_FIELDS } from './constants/effects.js';
+
+function compact(element) {
+    return {
+        id: element.id,
+        name: element.name || '',
+        supertype: element.supertype || ''
+    };
+}
+
+/**
+ * Linked elements of a character. Links that arrive as full elements are
+ * used as they are; IDs are looked up in `localElements` (an imported
+ * world's elements by ID) and otherwise resolved through the API when connected.
+ * @returns {Promise<Object>} { abilities: [...], traits: [...], objects: [...] }
+ */
+export async function resolveCharacterLinks(apiService, character, localElements = null) {
+    const linked = {};
+    const pending = {};
+
+    for (const field of Object.keys(EFFECT_LINK_FIELDS)) {
+        const values = Array.isArray(character[field]) ? character[field] : [];
+        linked[field] = [];
+        pending[field] = [];
+
+        for (const value of values) {
+            if (value && typeof value === 'object' && value.name) {
+                linked[field].push(compact(value));
+                continue;
+            }
+            const id = typeof value === 'string' ? value : value?.id;
+            if (!id) continue;
+            if (localElements?.has(id)) {
+                linked[field].push(compact(localElements.get(id)));
+            } else {
+                pending[field].push(id);
+            }
+        }
+    }
+
+    const hasPending = Object.values(pending).some(ids => ids.length > 0);
+    if (hasPending && apiService && apiService.auth.checkAuth()) {
+        try {
+            const resolved = await apiService.resolveReferences(pending, Object.keys(pending));
+            for (const field of Object.keys(pending)) {
+                linked[field].push(...(resolved[`${field}_resolved`] || []).map(compact));
+            }
+        } catch (error) {
+            console.warn(`Could not resolve links for ${character.name}:`, error);
+        }
+    }
+
+    return linked;
+}
+
+export default resolveCharacterLinks;
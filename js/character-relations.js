@@ -0,0 +1,32 @@
+/**
+ * Character Relations Module
+ * Loads the OnlyWorlds relation elements that may bind a battle's
+ * characters: from an imported world when there is one, otherwise through
+ * the API when connected. Pairing them up is left to findRelationPairs in
+ * simulation/relations.js.
+ */
+
+/**
+ * Relation elements of the current world
+ * @returns {Promise<Array|null>} Relations, or null when there is no world to read them from
+ */
+export async function loadRelations(apiService) {
+    const storedData = localStorage.getItem('onlyworlds_import_data');
+    if (storedData) {
+        try {
+            const data = JSON.parse(storedData);
+            if (data.elements) {
+                return data.elements.Relation || [];
+            }
+        } catch (error) {
+            console.warn('Could not read imported relations:', error);
+        }
+    }
+
+    if (apiService && apiService.auth.checkAuth()) {
+        return apiService.getElements('relation');
+    }
+    return null;
+}
+
+export default loadRelations;
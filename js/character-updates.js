@@ -0,0 +1,168 @@
+/**
+ * Character Updates Module
+ * Proposes changes to the OnlyWorlds characters who fought in a battle (a
+ * line about the battle appended to their description, the "Veteran" trait
+ * for survivors) and applies them one character at a time. Nothing is sent
+ * to the API until the caller applies a proposal the user has approved.
+ */
+
+import { CHARACTER_FATE } from './constants/simulation.js';
+import { describeCharacterFate } from './battle-chronicle.js';
+
+const VETERAN_TRAIT = 'Veteran';
+
+/**
+ * Line-by-line diff of two texts. Unchanged lines at the start and end are
+ * kept as context; everything between is shown as removed then added.
+ * @returns {Array<Object>} [{ type: 'same'|'removed'|'added', text }]
+ */
+export function diffLines(before, after) {
+    const oldLines = before ? before.split('\n') : [];
+    const newLines = after ? after.split('\n') : [];
+
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+
+    let end = 0;
+    while (end < oldLines.length - start && end < newLines.length - start &&
+           oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]) {
+        end++;
+    }
+
+    return [
+        ...oldLines.slice(0, start).map(text => ({ type: 'same', text })),
+        ...oldLines.slice(start, oldLines.length - end).map(text => ({ type: 'removed', text })),
+        ...newLines.slice(start, newLines.length - end).map(text => ({ type: 'added', text })),
+        ...oldLines.slice(oldLines.length - end).map(text => ({ type: 'same', text }))
+    ];
+}
+
+export class CharacterUpdateService {
+    /**
+     * @param {OnlyWorldsAPI} apiService - Authenticated API service
+     */
+    constructor(apiService) {
+        this.api = apiService;
+        this.traitCache = new Map();   // Trait name -> trait element, or null when the world has none
+    }
+
+    /**
+     * Sentence recording the character's part in the battle
+     */
+    buildBattleLine(config, result, character) {
+        const part = character.role === 'general'
+            ? `led ${character.unitName}`
+            : `fought in the ranks of ${character.unitName}`;
+
+        let side = '';
+        if (result.winner !== null) {
+            side = result.winner === character.armyIndex ? ' on the winning side' : ' on the losing side';
+        }
+
+        return `At ${config.name}, ${part}${side} and ${describeCharacterFate(character)}.`;
+    }
+
+    /**
+     * Look up a trait element by exact name, once per name
+     */
+    async findTrait(name) {
+        if (!this.traitCache.has(name)) {
+            const matches = await this.api.searchElements('trait', name);
+            const trait = matches.find(element => element.name.toLowerCase() === name.toLowerCase()) || null;
+            this.traitCache.set(name, trait);
+        }
+        return this.traitCache.get(name);
+    }
+
+    /**
+     * Proposed changes for every character in the result. Characters that
+     * cannot be fetched get an `error` and no changes.
+     * @returns {Promise<Array>} [{ character, element, changes: [{ field, label, before, after, diff }], error }]
+     */
+    async propose(config, result) {
+        let veteran = null;
+        try {
+            veteran = await this.findTrait(VETERAN_TRAIT);
+        } catch (error) {
+            console.warn('Could not look up the Veteran trait:', error);
+        }
+
+        const proposals = [];
+        for (const character of result.characters) {
+            try {
+                const element = await this.api.getElement('character', character.id);
+                proposals.push({
+                    character,
+                    element,
+                    changes: this.buildChanges(config, result, character, element, veteran),
+                    error: null
+                });
+            } catch (error) {
+                proposals.push({ character, element: null, changes: [], error: error.message });
+            }
+        }
+        return proposals;
+    }
+
+    /**
+     * Changes for one character, leaving out any that are already in place
+     */
+    buildChanges(config, result, character, element, veteran) {
+        const changes = [];
+
+        const line = this.buildBattleLine(config, result, character);
+        const description = element.description || '';
+        if (!description.includes(line)) {
+            const updated = description ? `${description.trimEnd()}\n${line}` : line;
+            changes.push({
+                field: 'description',
+                label: 'Description',
+                before: description,
+                after: updated,
+                diff: diffLines(description, updated)
+            });
+        }
+
+        const traits = Array.isArray(element.traits) ? element.traits : [];
+        const traitIds = traits.map(trait => (typeof trait === 'object' && trait !== null ? trait.id : trait));
+        if (veteran && character.fate !== CHARACTER_FATE.KILLED && !traitIds.includes(veteran.id)) {
+            // Keep the shape the API gave us: objects or plain IDs
+            const added = traits.length > 0 && typeof traits[0] === 'string'
+                ? veteran.id
+                : { id: veteran.id, name: veteran.name };
+            changes.push({
+                field: 'traits',
+                label: 'Traits',
+                before: traits,
+                after: [...traits, added],
+                diff: [{ type: 'added', text: veteran.name }]
+            });
+        }
+
+        return changes;
+    }
+
+    /**
+     * PUT one approved proposal
+     * @returns {Promise<Object>} { success, element, error }
+     */
+    async apply(proposal) {
+        if (proposal.changes.length === 0) {
+            return { success: false, error: 'Nothing to update' };
+        }
+
+        const updates = {};
+        proposal.changes.forEach(change => { updates[change.field] = change.after; });
+
+        try {
+            const element = await this.api.updateElement('character', proposal.character.id, updates);
+            return { success: true, element };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+export default CharacterUpdateService;
@@ -0,0 +1,55 @@
+/**
+ * Deployment Constants
+ * Where each player may place their units during army setup (see
+ * js/deployment-zones.js). A preset gives one zone per player, as polygons
+ * of [x, y] shares (0-1) of the field like terrain regions; a null zone
+ * leaves the player free to deploy anywhere. Also how much each player
+ * sees of the other's army while deploying.
+ */
+
+const THIRD = 0.333;
+
+export const DEPLOYMENT_PRESETS = {
+    thirds: {
+        label: 'Opposite thirds',
+        zones: [
+            [[0, 0], [1, 0], [1, THIRD], [0, THIRD]],                  // Player 1 along the top edge
+            [[0, 1 - THIRD], [1, 1 - THIRD], [1, 1], [0, 1]]           // Player 2 along the bottom edge
+        ]
+    },
+    halves: {
+        label: 'Opposite halves',
+        zones: [
+            [[0, 0], [1, 0], [1, 0.5], [0, 0.5]],
+            [[0, 0.5], [1, 0.5], [1, 1], [0, 1]]
+        ]
+    },
+    flanks: {
+        label: 'Left and right thirds',
+        zones: [
+            [[0, 0], [THIRD, 0], [THIRD, 1], [0, 1]],
+            [[1 - THIRD, 0], [1, 0], [1, 1], [1 - THIRD, 1]]
+        ]
+    },
+    open: {
+        label: 'Anywhere',
+        zones: [null, null]
+    }
+};
+
+// How much of the opposing army a player sees while deploying: its point
+// total, and its units as outlines of where they stand ('ghost') or in
+// full ('full', with type, name and size)
+export const ENEMY_VISIBILITY = {
+    hidden: { label: 'Nothing', points: false, units: null },
+    points: { label: 'Point total only', points: true, units: null },
+    ghosts: { label: 'Unit positions as outlines', points: true, units: 'ghost' },
+    full: { label: 'Full detail', points: true, units: 'full' }
+};
+
+export const DEPLOYMENT = {
+    defaultMode: 'thirds',
+    defaultVisibility: 'points',
+    customLabel: 'Custom zones',   // Mode whose zones come with the battle configuration
+    opacity: 0.12                  // How strongly the setup canvas tints the zones
+};
@@ -0,0 +1,70 @@
+/**
+ * Battle Effects Registry
+ * What a character's OnlyWorlds abilities, traits and objects do in battle.
+ * Each category matches linked elements by name first (case-insensitive),
+ * then by supertype. Add entries here, or call registerBattleEffect() from
+ * js/simulation/effects.js, to give your own world's elements an effect.
+ *
+ * Effect values:
+ *   attack     - extra share of casualties the unit inflicts (0.1 = +10%)
+ *   defense    - reduces casualties the unit takes (0.1 = 10% more to kill)
+ *   steadiness - share of morale losses the unit shrugs off (negative for worse)
+ *   rally      - morale restored once, when the unit would otherwise break
+ */
+
+export const EFFECT_REGISTRY = {
+    ability: {
+        names: {
+            'rally': { label: 'Rally', rally: 30 },
+            'shield wall': { label: 'Shield Wall', defense: 0.2 },
+            'inspire': { label: 'Inspire', steadiness: 0.15 },
+            'war cry': { label: 'War Cry', attack: 0.05, steadiness: 0.05 }
+        },
+        supertypes: {
+            'combat': { label: 'Combat skill', attack: 0.05 },
+            'martial': { label: 'Martial skill', attack: 0.05 },
+            'leadership': { label: 'Leadership', steadiness: 0.1 }
+        }
+    },
+    trait: {
+        names: {
+            'veteran': { label: 'Veteran', steadiness: 0.1 },
+            'disciplined': { label: 'Disciplined', steadiness: 0.1, defense: 0.05 },
+            'brave': { label: 'Brave', steadiness: 0.15 },
+            'fearless': { label: 'Fearless', steadiness: 0.2 },
+            'cowardly': { label: 'Cowardly', steadiness: -0.2 },
+            'reckless': { label: 'Reckless', attack: 0.1, defense: -0.1 },
+            'strong': { label: 'Strong', attack: 0.05 }
+        },
+        supertypes: {}
+    },
+    object: {
+        names: {
+            'bronze spear': { label: 'Bronze Spear', attack: 0.1 },
+            'iron sword': { label: 'Iron Sword', attack: 0.1 },
+            'crested helm': { label: 'Crested Helm', steadiness: 0.05, defense: 0.05 },
+            'hoplon': { label: 'Hoplon', defense: 0.1 },
+            'bronze cuirass': { label: 'Bronze Cuirass', defense: 0.1 },
+            'standard': { label: 'Standard', rally: 20 }
+        },
+        supertypes: {
+            'weapon': { label: 'Weapon', attack: 0.05 },
+            'armor': { label: 'Armor', defense: 0.05 },
+            'armour': { label: 'Armour', defense: 0.05 },
+            'shield': { label: 'Shield', defense: 0.05 }
+        }
+    }
+};
+
+// Character link fields and the registry category of the elements they hold
+export const EFFECT_LINK_FIELDS = {
+    abilities: 'ability',
+    traits: 'trait',
+    objects: 'object'
+};
+
+export const EFFECT_LIMITS = {
+    soldierShare: 0.25,    // A soldier's gear and skill touch fewer men than a general's
+    maxSteadiness: 0.5,    // A unit never ignores more than half its morale losses
+    minModifier: -0.5      // Attack and defense never fall below half
+};
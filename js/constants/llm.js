@@ -0,0 +1,39 @@
+/**
+ * LLM General Constants
+ * Settings for generals whose decisions come from a language model (see
+ * js/ai/). Times in battle seconds unless noted.
+ */
+
+export const LLM_PROVIDER = {
+    RULES: 'rules',      // No model: the rule-based AI decides alone
+    MOCK: 'mock',        // Deterministic local stand-in, works offline
+    OPENAI: 'openai'     // Any OpenAI-compatible chat completions endpoint
+};
+
+export const LLM = {
+    decisionInterval: 10,    // Battle seconds between requests for one general
+    maxDecisionAge: 15,      // A decision older than this gives way to the rules
+    timeout: 8000,           // Milliseconds before a request is abandoned
+    maxFailures: 3,          // Failed requests in a row before a general is rested
+    restDuration: 60,        // Battle seconds a rested general is left to the rules
+    maxBattleCry: 140,       // Characters; longer cries are cut
+    maxThreats: 5,           // Enemy units listed as threats or opportunities
+    storageKey: 'tactical_tangle_llm'
+};
+
+export const LLM_DEFAULTS = {
+    provider: LLM_PROVIDER.RULES,
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    apiKey: '',
+    temperature: 0.7,
+    maxTokens: 200
+};
+
+// Memory threads (see js/ai/thread-store.js). Budgets are in estimated tokens.
+export const THREADS = {
+    budgets: { character: 1200, unit: 600, battle: 1000 },
+    charsPerToken: 4,        // Rough estimate; close enough for English prose
+    maxThreads: 200,         // Least recently used unit and battle threads beyond this are dropped
+    storageKey: 'tactical_tangle_threads'
+};
@@ -0,0 +1,176 @@
+/**
+ * Battle Simulation Constants
+ * Tuning values for the headless battle simulator
+ */
+
+export const SIMULATION = {
+    timestep: 1 / 30,      // Seconds of battle time per tick
+    maxDuration: 900,      // Seconds before the battle is declared a draw
+    contactRange: 6,       // Gap in pixels at which two blocks are in contact
+    killRate: 0.12,        // Casualties inflicted per front-rank soldier per second
+    killVariance: 0.5,     // Random spread applied to each tick's casualties (+/-)
+    fieldMargin: 100,      // Extra space around deployed units when no field size is given
+    minField: { width: 800, height: 600 }
+};
+
+export const UNIT_STATUS = {
+    ACTIVE: 'active',
+    ROUTING: 'routing',      // Broken and running for the map edge
+    FLED: 'fled',            // Left the field; counts as lost for the army
+    DESTROYED: 'destroyed'
+};
+
+// Morale runs 0-100, cohesion 0-1. Rates are per second of battle time.
+export const MORALE = {
+    initial: 100,
+    routThreshold: 25,       // Units break at or below this morale
+    rallyThreshold: 50,      // Routing units reform once recovered to this
+    casualtyShock: 150,      // Morale lost for losing the entire unit, scaled by the share lost
+    panicRadius: 120,        // Routing allies within this range spread panic
+    panicRate: 5,            // Morale lost per second per routing ally nearby
+    commandRadius: 150,      // Range at which a general steadies units (including their own)
+    rallyRate: 4,            // Morale recovered per second inside command radius
+    routSpeedFactor: 1.2,    // Routing units run faster than they march
+    cohesionCasualtyLoss: 1, // Cohesion lost for losing the entire unit, scaled by the share lost
+    cohesionRecovery: 0.02,  // Cohesion regained per second while out of contact
+    minCohesion: 0.2
+};
+
+// Facing and attacks into the side or rear. Angles in radians, rates per second.
+export const FACING = {
+    frontArc: Math.PI / 3,       // Attacks within this of the facing hit the front
+    rearArc: Math.PI * 2 / 3,    // Attacks beyond this hit the rear; in between, the flank
+    damageBonus: { front: 1, flank: 1.25, rear: 1.5 },
+    moraleShock: { flank: 10, rear: 20 },      // One-off loss when a new enemy strikes this side
+    moraleDrain: { flank: 8, rear: 14 },       // Morale lost per second while attacked there
+    cohesionDrain: { flank: 0.05, rear: 0.1 }, // Cohesion lost per second while attacked there
+    shockMemory: 5           // Seconds an enemy must stay away before striking the side again shocks anew
+};
+
+// Hoplite-on-hoplite pushing match. Rates are per second of battle time.
+export const OTHISMOS = {
+    pushRate: 8,             // Pixels per second at full advantage
+    deadband: 0.05,          // Pressure advantage below which the lines are locked in stalemate
+    moraleDrain: 12,         // Morale lost per second by the side being pushed, at full advantage
+    stalemateDrain: 1.5,     // Morale both sides lose per second while locked
+    cohesionDrain: 0.04,     // Cohesion lost per second by the side being pushed, at full advantage
+    casualtyFactor: 0.5      // Shield walls kill fewer men than open melee
+};
+
+// Missile fire for units with a range stat (light infantry skirmishers)
+export const MISSILES = {
+    volleyHitRate: 0.04,     // Casualties per throwing soldier per volley, before stats and matchups
+    holdDistance: 0.8,       // Skirmishers hold at this share of their range from the target
+    evadeDistance: 60,       // Fall back when a melee enemy closes within this gap
+    evadeTypes: ['hoplite', 'cavalry'],
+    tracerTicks: 10          // How long a volley stays visible to renderers
+};
+
+// Rule-based unit AI
+export const AI = {
+    decisionInterval: 0.5,   // Seconds between a unit's decisions
+    holdMorale: 35,          // Below this a unit stops advancing and holds its ground
+    wheelRadius: 120         // Melee enemies this close take priority over any other target
+};
+
+// General personality. OnlyWorlds scores the six Cs 0-100; each score's
+// distance from the neutral 50 shifts one value by up to `range` either way.
+export const PERSONALITY = {
+    fields: ['courage', 'compassion', 'charisma', 'creativity', 'curiosity', 'caution'],
+    neutral: 50,
+    max: 100,
+    courage: { range: 10 },   // Lowers the unit's rout threshold (its morale floor)
+    charisma: { range: 60 },  // Widens the radius in which the general steadies and rallies units
+    caution: { range: 20 }    // Raises the morale below which the unit will not advance or charge
+};
+
+// Army command: the top-ranked general plans, messengers carry intents to the others
+export const COMMAND = {
+    intentInterval: 10,      // Seconds between the commander's reviews of the battle
+    baseDelay: 1,            // Seconds before any intent leaves headquarters
+    messengerSpeed: 120,     // Pixels per second an intent travels to a subordinate general
+    advanceRatio: 0.8        // A wing advances when it has at least this share of the strength facing it
+};
+
+// Ways a battle can be won. An army with no fighting units left always loses
+// (annihilation); the others can be switched on per battle in config.victory.
+export const VICTORY_CONDITION = {
+    ANNIHILATION: 'annihilation',
+    ROUT: 'rout',
+    COMMANDER: 'commander',
+    OBJECTIVE: 'objective',
+    TIME: 'time'
+};
+
+export const DEFAULT_VICTORY = {
+    rout: { enabled: true, percentage: 70 },     // Lose when this share of soldiers has routed, fled or fallen
+    commander: { enabled: false },                // Lose when the commander is killed or captured
+    objective: {
+        enabled: false,
+        x: 0.5,                                   // Position as a share of field width and height
+        y: 0.5,
+        radius: 60,                               // Pixels
+        holdSeconds: 60                           // Win by holding it uncontested this long
+    }
+};
+
+// What became of each assigned character
+export const CHARACTER_FATE = {
+    UNHURT: 'unhurt',
+    WOUNDED: 'wounded',
+    CAPTURED: 'captured',
+    KILLED: 'killed',
+    FLED: 'fled'
+};
+
+// Character casualties. Each time their unit takes losses a character is hit
+// with a chance of (share of the unit lost) x exposure; generals fight
+// further back and are better protected than the men in the ranks.
+export const CHARACTERS = {
+    exposure: { general: 0.5, soldier: 1 },
+    killChance: { unhurt: 0.3, wounded: 0.6 },    // Chance a hit kills rather than wounds
+    captureChance: { general: 0.5, soldier: 0.3 }, // Hit while routing, or caught when the unit is destroyed
+    pursuitCapture: { general: 0.3, soldier: 0.2 } // Still routing when their army loses the battle
+};
+
+// How two assigned characters are bound, and how that plays out depending on
+// whether they fight on opposing sides or the same one
+export const RELATION_KIND = {
+    RIVAL: 'rival',
+    FRIEND: 'friend',
+    KIN: 'kin'
+};
+
+export const RELATION_PAIR = {
+    RIVALS: 'rivals',                  // Rival or enemy on the other side
+    FORMER_FRIENDS: 'former-friends',  // Friend on the other side
+    DIVIDED_KIN: 'divided-kin',        // Family on the other side
+    FEUD: 'feud',                      // Rival or enemy on the same side
+    COMRADES: 'comrades'               // Friend or family on the same side
+};
+
+// OnlyWorlds relations between characters. A relation's kind is read from
+// its supertype, subtype and name, the first keyword found deciding.
+export const RELATIONS = {
+    keywords: {
+        rival: ['rival', 'enemy', 'enemies', 'nemesis', 'foe', 'feud', 'grudge', 'hatred', 'enmity', 'vendetta'],
+        friend: ['friend', 'ally', 'comrade', 'companion', 'mentor', 'student', 'lover'],
+        kin: ['family', 'kin', 'brother', 'sister', 'sibling', 'father', 'mother', 'son', 'daughter', 'cousin', 'parent']
+    },
+    partyFields: ['actor', 'characters'],   // Relation link fields naming the characters bound by it
+    rivalAggression: 0.15,   // Extra casualties a unit inflicts on the unit of its character's rival
+    rivalPreference: 2,      // How much nearer a rival's unit seems when picking a target
+    feudDelay: 2             // Messengers between feuding generals take this many times as long
+};
+
+// Battle replays
+export const REPLAY = {
+    format: 'tactical-tangle-replay',
+    version: 1
+};
+
+// Battle events
+export const EVENTS = {
+    chargeDistance: 80,      // Cavalry closing inside this gap on its target is logged as a charge
+    contactMemory: 5         // Seconds a pair must be apart before meeting again counts as a new engagement
+};
@@ -0,0 +1,94 @@
+/**
+ * Terrain Constants
+ * Ground types for the battlefield's terrain regions (see
+ * js/simulation/terrain.js). Each modifier is given per unit type; a type
+ * left out is unaffected (1).
+ *
+ *   speed    - share of the unit's marching speed
+ *   cohesion - highest cohesion the unit keeps while standing in it
+ *   attack   - multiplies the casualties the unit inflicts from it
+ *   defense  - divides the casualties the unit takes in it (cover)
+ *   elevated - high ground: units on it strike those below downhill
+ */
+
+export const TERRAIN_TYPES = {
+    hill: {
+        label: 'Hill',
+        color: '#C8B27A',
+        speed: { light: 0.9, hoplite: 0.85, cavalry: 0.8 },
+        elevated: true
+    },
+    forest: {
+        label: 'Woods',
+        color: '#5E7F4A',
+        speed: { light: 0.8, hoplite: 0.5, cavalry: 0.4 },
+        cohesion: { hoplite: 0.6, cavalry: 0.5 },
+        attack: { hoplite: 0.8, cavalry: 0.6 },         // No room to level spears or to charge
+        defense: { light: 1.3 }                         // Skirmishers vanish among the trees
+    },
+    marsh: {
+        label: 'Marsh',
+        color: '#7C9270',
+        speed: { light: 0.6, hoplite: 0.4, cavalry: 0.3 },
+        cohesion: { light: 0.8, hoplite: 0.5, cavalry: 0.4 },
+        attack: { hoplite: 0.8, cavalry: 0.6 }
+    },
+    river: {
+        label: 'River',
+        color: '#5B8DB8',
+        speed: { light: 0.35, hoplite: 0.25, cavalry: 0.35 },
+        cohesion: { light: 0.5, hoplite: 0.4, cavalry: 0.4 },
+        attack: { light: 0.7, hoplite: 0.6, cavalry: 0.6 }
+    },
+    ford: {
+        label: 'Ford',
+        color: '#8DB3CF',
+        speed: { light: 0.7, hoplite: 0.6, cavalry: 0.7 },
+        cohesion: { light: 0.9, hoplite: 0.8, cavalry: 0.8 },
+        attack: { hoplite: 0.9, cavalry: 0.9 }
+    },
+    rough: {
+        label: 'Rough ground',
+        color: '#A89A86',
+        speed: { light: 0.9, hoplite: 0.8, cavalry: 0.7 },
+        cohesion: { hoplite: 0.75, cavalry: 0.7 }
+    }
+};
+
+export const TERRAIN = {
+    cohesionDrain: 0.05,     // Cohesion lost per second while above what the ground allows
+    downhill: { light: 1.1, hoplite: 1.25, cavalry: 1.15 },   // Striking from high ground at a unit below
+    uphill: 0.85,            // Striking up at a unit on high ground
+    opacity: 0.45            // How strongly renderers tint the ground
+};
+
+// Random maps (generateTerrain in js/simulation/terrain.js). Counts are
+// [min, max] features of each type; sizes are shares of the field.
+export const TERRAIN_GENERATOR = {
+    features: { hill: [1, 2], forest: [0, 2], marsh: [0, 1], rough: [0, 2] },
+    size: { min: 0.06, max: 0.14 },      // Radius of a feature
+    outlinePoints: 10,                   // Points around a feature's outline
+    riverChance: 0.5,                    // Chance of a river between the armies
+    riverWidth: 0.05,
+    fords: [1, 2],                       // Crossings on a river
+    fordWidth: 0.08,
+    band: [0.25, 0.75]                   // Share of the field's height features are centred in, clear of both deployment edges
+};
+
+// OnlyWorlds battle sites (js/battle-sites.js). Zones and pins on the site's
+// map become terrain regions when their name, supertype or subtype holds one
+// of a terrain type's words (checked in this order, so "river crossing" is a
+// ford), and a pin becomes the objective when it holds an objective word.
+export const BATTLE_SITE = {
+    terrainKeywords: {
+        ford: ['ford', 'crossing', 'bridge'],
+        river: ['river', 'stream', 'creek', 'brook'],
+        marsh: ['marsh', 'swamp', 'bog', 'fen', 'mire'],
+        forest: ['forest', 'wood', 'grove', 'thicket'],
+        hill: ['hill', 'ridge', 'height', 'mount', 'knoll', 'slope'],
+        rough: ['rough', 'rock', 'scree', 'boulder', 'ruin']
+    },
+    objectiveKeywords: ['objective', 'shrine', 'temple', 'altar', 'camp', 'standard', 'tomb', 'trophy', 'well', 'gate'],
+    pinRadius: 0.06,         // Share of the field covered around a pin, or a zone with too few markers to outline
+    mapMargin: 0.1           // Padding around a map's pins and markers when it has no size
+};
@@ -13,7 +13,11 @@ export const UNIT_TYPES = {
         defaultFormation: { width: 10, depth: 8 },  // Less wide formation for light infantry
         color: '#8B7355',  // Tan
         icon: 'L',
-        description: 'Fast, flexible skirmishers'
+        description: 'Fast, flexible skirmishers',
+        // Combat stats: attack/defense scale casualties, speed is battlefield
+        // pixels per second, turnRate is degrees per second, range is missile
+        // reach in pixels, ammo is volleys carried and reload is seconds between volleys
+        stats: { attack: 0.9, defense: 0.7, speed: 32, turnRate: 90, range: 120, ammo: 12, reload: 3 }
     },
     hoplite: {
         name: 'Hoplite',
@@ -24,7 +28,8 @@ export const UNIT_TYPES = {
         defaultFormation: { width: 10, depth: 12 },  // Less wide phalanx
         color: '#CD7F32',  // Bronze
         icon: 'H',
-        description: 'Heavy infantry phalanx'
+        description: 'Heavy infantry phalanx',
+        stats: { attack: 1.0, defense: 1.4, speed: 18, turnRate: 30, range: 0, ammo: 0, reload: 0 }
     },
     cavalry: {
         name: 'Cavalry',
@@ -35,7 +40,8 @@ export const UNIT_TYPES = {
         defaultFormation: { width: 10, depth: 6 },  // Less wide formation
         color: '#654321',  // Dark brown
         icon: 'C',
-        description: 'Mobile shock troops'
+        description: 'Mobile shock troops',
+        stats: { attack: 1.3, defense: 0.9, speed: 55, turnRate: 120, range: 0, ammo: 0, reload: 0 }
     }
 };
 
@@ -55,6 +61,40 @@ export const VISUAL_SCALE = {
     maxUnitHeight: 300
 };
 
+// Combined-arms matchups: MATCHUPS[attacker][defender][context] multiplies the
+// casualties the attacker inflicts. Contexts are 'front', 'flank', 'rear' and
+// 'ranged'; 'rear' falls back to 'flank', anything else missing to 'front',
+// and a missing entry to 1.
+// Tune balance here - the combat resolver only reads this table.
+export const MATCHUPS = {
+    light: {
+        light:   { front: 1.0, ranged: 1.0 },
+        hoplite: { front: 0.5, flank: 0.9, ranged: 1.5 },  // Skirmish hoplites from range, never close in
+        cavalry: { front: 0.6, ranged: 1.1 }
+    },
+    hoplite: {
+        light:   { front: 1.2 },                           // Light troops cannot stand against a phalanx
+        hoplite: { front: 1.0, flank: 1.5 },
+        cavalry: { front: 1.6, flank: 1.2 }                // A spear wall beats horsemen from the front
+    },
+    cavalry: {
+        light:   { front: 1.8, flank: 2.2 },               // Ride down skirmishers in the open
+        hoplite: { front: 0.4, flank: 1.8 },               // Suicidal head-on, decisive in the flank
+        cavalry: { front: 1.0, flank: 1.3 }
+    }
+};
+
+// Block outlines as [x%, y%] points; null means a plain rectangle.
+// Shared by the setup canvas clip-paths and the battle renderer.
+export const UNIT_SHAPES = {
+    light: [[25, 0], [75, 0], [100, 50], [75, 100], [25, 100], [0, 50]],     // Hexagon
+    hoplite: null,                                                           // Rectangle
+    cavalry: [[50, 0], [100, 38], [82, 100], [18, 100], [0, 38]]             // Pentagon
+};
+
+// Outline colors distinguishing the two armies on the battlefield
+export const ARMY_COLORS = ['#2E6DB4', '#B83A3A'];
+
 // Helper functions
 export function calculateUnitCost(type, soldierCount) {
     const unitType = UNIT_TYPES[type];
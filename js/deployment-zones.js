@@ -0,0 +1,125 @@
+/**
+ * Deployment Zones
+ * Where each player may place their units during army setup, so neither
+ * can deploy on top of the other's lines. The battle configuration holds
+ *
+ *     deployment: { mode, zones }
+ *
+ * where `mode` names a preset in js/constants/deployment.js, or is 'custom'
+ * with `zones: [player 1's points, player 2's points]`, each a polygon of
+ * [x, y] shares of the field or null for anywhere. `enemyVisibility` names
+ * how much of the other army each player sees meanwhile (ENEMY_VISIBILITY).
+ */
+
+import { DEPLOYMENT_PRESETS, DEPLOYMENT, ENEMY_VISIBILITY } from './constants/deployment.js';
+import { ARMY_COLORS } from './constants/units.js';
+import { pointInPolygon } from './simulation/terrain.js';
+import { createTerrainSVG, getRegionCentre } from './terrain-layer.js';
+
+export const CUSTOM_DEPLOYMENT = 'custom';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function normalizeZone(points) {
+    if (!Array.isArray(points)) return null;
+    const zone = points
+        .filter(point => Array.isArray(point) && point.every(Number.isFinite))
+        .map(([x, y]) => [Math.max(0, Math.min(1, x)), Math.max(0, Math.min(1, y))]);
+    return zone.length >= 3 ? zone : null;
+}
+
+/**
+ * Deployment setting that can be used: a known preset, or custom zones of
+ * at least three points. Battles set up before zones existed get the
+ * default preset.
+ */
+export function normalizeDeployment(deployment) {
+    if (deployment?.mode === CUSTOM_DEPLOYMENT) {
+        const zones = Array.isArray(deployment.zones) ? deployment.zones : [];
+        return { mode: CUSTOM_DEPLOYMENT, zones: [normalizeZone(zones[0]), normalizeZone(zones[1])] };
+    }
+    return { mode: DEPLOYMENT_PRESETS[deployment?.mode] ? deployment.mode : DEPLOYMENT.defaultMode };
+}
+
+/**
+ * Known enemy visibility setting; battles set up before it existed show
+ * the point total, as they always did
+ */
+export function normalizeEnemyVisibility(visibility) {
+    return ENEMY_VISIBILITY[visibility] ? visibility : DEPLOYMENT.defaultVisibility;
+}
+
+/**
+ * A player's (0 or 1) zone as [x, y] shares of the field, or null when they
+ * may deploy anywhere
+ */
+export function getDeploymentZone(deployment, playerIndex) {
+    const { mode, zones } = normalizeDeployment(deployment);
+    return (mode === CUSTOM_DEPLOYMENT ? zones : DEPLOYMENT_PRESETS[mode].zones)[playerIndex] || null;
+}
+
+/**
+ * Bounding box of a zone: { left, top, right, bottom }
+ */
+export function getZoneBounds(zone) {
+    const xs = zone.map(([x]) => x);
+    const ys = zone.map(([, y]) => y);
+    return { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) };
+}
+
+/**
+ * Whether a rectangle's corners all lie inside a zone, both in the same
+ * units. Corners are tested a pixel in, so a block pushed up against the
+ * zone's edge still counts as inside.
+ * @param {Array} zone - [x, y] points
+ * @param {Object} rect - { x, y, width, height }
+ */
+export function isInsideZone(zone, rect) {
+    const inset = 1;
+    const left = rect.x + inset;
+    const top = rect.y + inset;
+    const right = rect.x + rect.width - inset;
+    const bottom = rect.y + rect.height - inset;
+    return [[left, top], [right, top], [right, bottom], [left, bottom]]
+        .every(([x, y]) => pointInPolygon(x, y, zone));
+}
+
+/**
+ * Read-only layer tinting both players' zones in their army colours. Given
+ * the player setting up, their own zone is marked as theirs; otherwise the
+ * zones are named by player.
+ */
+export function createDeploymentLayer(deployment, playerIndex = null) {
+    const layer = document.createElement('div');
+    layer.className = 'deployment-layer';
+
+    const svg = createTerrainSVG();
+    layer.appendChild(svg);
+    [0, 1].forEach(index => {
+        const zone = getDeploymentZone(deployment, index);
+        if (!zone) return;
+
+        const own = playerIndex === null || index === playerIndex;
+        const polygon = document.createElementNS(SVG_NS, 'polygon');
+        polygon.setAttribute('points', zone.map(([x, y]) => `${x * 100},${y * 100}`).join(' '));
+        polygon.setAttribute('fill', ARMY_COLORS[index]);
+        polygon.setAttribute('fill-opacity', own ? DEPLOYMENT.opacity : DEPLOYMENT.opacity / 2);
+        polygon.setAttribute('stroke', ARMY_COLORS[index]);
+        polygon.setAttribute('stroke-width', '1.5');
+        polygon.setAttribute('stroke-dasharray', '6 4');
+        polygon.setAttribute('vector-effect', 'non-scaling-stroke');
+        svg.appendChild(polygon);
+
+        const centre = getRegionCentre({ points: zone });
+        const label = document.createElement('div');
+        label.className = 'deployment-label';
+        label.textContent = playerIndex === null
+            ? `Player ${index + 1}`
+            : (own ? 'Your deployment zone' : 'Enemy deployment zone');
+        label.style.left = `${centre.x * 100}%`;
+        label.style.top = `${centre.y * 100}%`;
+        label.style.color = ARMY_COLORS[index];
+        layer.appendChild(label);
+    });
+    return layer;
+}
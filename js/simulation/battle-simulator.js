@@ -0,0 +1,725 @@
+/**
+ * Battle Simulator Module
+ * Headless, deterministic battle simulation driven by the battle configuration.
+ * Runs without the DOM so it can be stepped by a renderer or by tests in Node.
+ */
+
+import { UNIT_TYPES, getUnitVisualSize } from '../constants/units.js';
+import { SIMULATION, UNIT_STATUS, AI, VICTORY_CONDITION, EVENTS } from '../constants/simulation.js';
+import SeededRandom, { hashSeed } from './random.js';
+import MoraleSystem from './morale.js';
+import OthismosSystem from './othismos.js';
+import CombatResolver from './combat.js';
+import MissileSystem from './missiles.js';
+import CommandSystem from './command.js';
+import VictorySystem from './victory.js';
+import CharacterSystem from './characters.js';
+import RelationSystem from './relations.js';
+import TerrainSystem from './terrain.js';
+import BattleEventBus, { BATTLE_EVENT, describeEvent } from './events.js';
+import { ATTACK_ASPECT, facingToRadians, turnToward, getAttackAspect } from './facing.js';
+import { ORDER_TYPE, HOLD_ORDER, normalizeOrder, isSameOrder } from './orders.js';
+import RuleBasedAI from './unit-ai.js';
+
+export class BattleSimulator {
+    /**
+     * @param {Object} config - Battle configuration from battleConfig.getConfig()
+     * @param {Object} options - Optional { seed, timestep, maxDuration, field: { width, height },
+     *                            ai: decision maker with decide(situation), see orders.js }
+     */
+    constructor(config, options = {}) {
+        if (!config || !Array.isArray(config.armies)) {
+            throw new Error('Invalid battle configuration');
+        }
+
+        this.config = config;
+        this.timestep = options.timestep || SIMULATION.timestep;
+        this.maxTicks = Math.ceil((options.maxDuration || SIMULATION.maxDuration) / this.timestep);
+        this.seed = hashSeed(options.seed ?? config.seed ?? config.id);
+        this.random = new SeededRandom(this.seed);
+
+        this.tick = 0;
+        this.finished = false;
+        this.winner = null;
+        this.victoryCondition = null;
+        this.events = new BattleEventBus();
+        this.contacts = new Map();   // Pair of unit IDs -> last tick in contact, for engagement events
+
+        this.morale = new MoraleSystem(this);
+        this.othismos = new OthismosSystem(this);
+        this.combat = new CombatResolver(this);
+        this.missiles = new MissileSystem(this);
+        this.command = new CommandSystem(this);
+        this.victory = new VictorySystem(this);
+        this.characters = new CharacterSystem(this);
+        this.relations = new RelationSystem(this);
+        this.terrain = new TerrainSystem(this);
+        this.ai = options.ai || new RuleBasedAI();
+        this.decisionTicks = Math.max(1, Math.round(AI.decisionInterval / this.timestep));
+
+        this.units = this.createUnits(config.armies);
+        this.field = this.resolveField(options.field || config.battlefield);
+        this.initFacings();
+        this.units.forEach(unit => {
+            this.morale.initUnit(unit);
+            this.missiles.initUnit(unit);
+            this.command.initUnit(unit);
+            this.characters.initUnit(unit);
+        });
+        this.terrain.init();
+        this.victory.init();
+        this.relations.init();
+    }
+
+    /**
+     * Build simulation units from both armies
+     */
+    createUnits(armies) {
+        const units = [];
+
+        armies.forEach((army, armyIndex) => {
+            for (const unit of army.units || []) {
+                if (!UNIT_TYPES[unit.type]) {
+                    console.warn(`Skipping unit with unknown type: ${unit.type}`);
+                    continue;
+                }
+                units.push(this.createSimUnit(unit, armyIndex));
+            }
+        });
+
+        return units;
+    }
+
+    /**
+     * Convert a configured unit into mutable simulation state.
+     * Positions are stored as block centers; the config stores top-left corners.
+     */
+    createSimUnit(unit, armyIndex) {
+        const formation = { ...(unit.formation || UNIT_TYPES[unit.type].defaultFormation) };
+        const size = getUnitVisualSize(formation);
+        const position = unit.position || { x: 0, y: 0 };
+
+        return {
+            id: unit.id,
+            name: unit.name,
+            type: unit.type,
+            armyIndex: armyIndex,
+            hierarchy: unit.hierarchy,
+            general: unit.general || null,
+            soldiers: unit.soldiers || [],
+            x: position.x + size.width / 2,
+            y: position.y + size.height / 2,
+            width: size.width,
+            height: size.height,
+            formation: formation,
+            soldierCount: unit.soldierCount,
+            initialSoldierCount: unit.soldierCount,
+            // Radians, 0 = facing right; null until initFacings() when the builder left it unset
+            facing: unit.facing !== null && unit.facing !== undefined ? facingToRadians(unit.facing) : null,
+            homeX: 0,    // Unit vector toward the army's own side, used when routing
+            homeY: 0,
+            status: UNIT_STATUS.ACTIVE,
+            targetId: null,
+            engaged: false,
+            othismosWith: null,  // ID of the phalanx this unit is locked in a pushing match with
+            order: HOLD_ORDER,   // Current order from the decision maker, see orders.js
+            lastCry: null,       // Battle cry that came with the latest order, if any
+            terrain: null,       // Terrain type the unit stands on, null for open ground
+            nextDecisionTick: 0
+        };
+    }
+
+    /**
+     * Use the configured field size, or fit one around the deployed units
+     */
+    resolveField(field) {
+        if (field && field.width > 0 && field.height > 0) {
+            return { width: field.width, height: field.height };
+        }
+
+        let width = SIMULATION.minField.width;
+        let height = SIMULATION.minField.height;
+        for (const unit of this.units) {
+            width = Math.max(width, unit.x + unit.width / 2 + SIMULATION.fieldMargin);
+            height = Math.max(height, unit.y + unit.height / 2 + SIMULATION.fieldMargin);
+        }
+
+        return { width: Math.ceil(width), height: Math.ceil(height) };
+    }
+
+    /**
+     * Face units without a configured facing toward the enemy army's centre,
+     * and remember where home is
+     */
+    initFacings() {
+        const centroids = this.config.armies.map((army, armyIndex) => {
+            const units = this.units.filter(unit => unit.armyIndex === armyIndex);
+            if (units.length === 0) return null;
+            return {
+                x: units.reduce((total, unit) => total + unit.x, 0) / units.length,
+                y: units.reduce((total, unit) => total + unit.y, 0) / units.length
+            };
+        });
+
+        for (const unit of this.units) {
+            const enemy = centroids.find((centroid, armyIndex) => armyIndex !== unit.armyIndex && centroid);
+            if (!enemy) {
+                unit.facing = unit.facing ?? 0;
+                continue;
+            }
+
+            const dx = enemy.x - unit.x;
+            const dy = enemy.y - unit.y;
+            const length = Math.hypot(dx, dy) || 1;
+            if (unit.facing === null) {
+                unit.facing = Math.atan2(dy, dx);
+            }
+            unit.homeX = -dx / length;
+            unit.homeY = -dy / length;
+        }
+    }
+
+    /**
+     * Advance the simulation by one fixed timestep
+     * @returns {boolean} True while the battle is still running
+     */
+    step() {
+        if (this.finished) return false;
+
+        this.tick++;
+        this.updateContacts();
+        this.command.update();
+        this.issueOrders();
+        this.moveUnits();
+        this.morale.moveRoutingUnits();
+        this.separateUnits();
+        this.terrain.update();
+        this.updateContacts();
+        this.othismos.resolve();
+        this.resolveCombat();
+        this.morale.update();
+        this.checkBattleEnd();
+
+        return !this.finished;
+    }
+
+    /**
+     * Run until the battle ends or the tick limit is reached
+     */
+    run(maxTicks = this.maxTicks) {
+        while (!this.finished && this.tick < maxTicks) {
+            this.step();
+        }
+        return this.getResult();
+    }
+
+    /**
+     * Active units, optionally filtered by army
+     */
+    getActiveUnits(armyIndex = null) {
+        return this.units.filter(unit =>
+            unit.status === UNIT_STATUS.ACTIVE &&
+            (armyIndex === null || unit.armyIndex === armyIndex)
+        );
+    }
+
+    /**
+     * Units still on the battlefield, whether fighting or routing
+     */
+    getUnitsOnField(armyIndex = null) {
+        return this.units.filter(unit =>
+            (unit.status === UNIT_STATUS.ACTIVE || unit.status === UNIT_STATUS.ROUTING) &&
+            (armyIndex === null || unit.armyIndex === armyIndex)
+        );
+    }
+
+    /**
+     * Nearest enemy unit still on the field
+     */
+    getNearestEnemy(unit) {
+        let nearest = null;
+        let nearestGap = Infinity;
+
+        for (const other of this.getUnitsOnField()) {
+            if (other.armyIndex === unit.armyIndex) continue;
+
+            const gap = this.gapBetween(unit, other);
+            if (gap < nearestGap) {
+                nearest = other;
+                nearestGap = gap;
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Marching speed in pixels per second over the ground the unit is on
+     */
+    getSpeed(unit) {
+        return UNIT_TYPES[unit.type].stats.speed * this.terrain.getSpeedFactor(unit);
+    }
+
+    /**
+     * Wheel a unit toward an angle, limited by its type's turn rate
+     */
+    turnUnit(unit, angle) {
+        const maxTurn = UNIT_TYPES[unit.type].stats.turnRate * Math.PI / 180 * this.timestep;
+        unit.facing = turnToward(unit.facing, angle, maxTurn);
+    }
+
+    /**
+     * Get a simulation unit by ID
+     */
+    getUnit(unitId) {
+        return this.units.find(unit => unit.id === unitId) || null;
+    }
+
+    /**
+     * Shortest gap between two blocks; negative when they overlap
+     */
+    gapBetween(a, b) {
+        const dx = Math.abs(a.x - b.x) - (a.width + b.width) / 2;
+        const dy = Math.abs(a.y - b.y) - (a.height + b.height) / 2;
+
+        if (dx < 0 && dy < 0) {
+            return Math.max(dx, dy);
+        }
+        return Math.hypot(Math.max(0, dx), Math.max(0, dy));
+    }
+
+    /**
+     * Pick each fighting unit's target: the nearest enemy, engaged when in contact.
+     * Routing units can still be targeted and cut down by pursuers.
+     */
+    updateContacts() {
+        for (const unit of this.getUnitsOnField()) {
+            const nearest = unit.status === UNIT_STATUS.ACTIVE ? this.getNearestEnemy(unit) : null;
+
+            unit.targetId = nearest ? nearest.id : null;
+            unit.engaged = nearest !== null && this.gapBetween(unit, nearest) <= SIMULATION.contactRange;
+        }
+
+        const memory = EVENTS.contactMemory / this.timestep;
+        for (const unit of this.getActiveUnits()) {
+            if (!unit.engaged) continue;
+
+            const key = [unit.id, unit.targetId].sort().join('|');
+            const lastContact = this.contacts.get(key);
+            if (lastContact === undefined || this.tick - lastContact > memory) {
+                this.emitEvent(BATTLE_EVENT.ENGAGEMENT, unit, { target: this.getUnit(unit.targetId) });
+            }
+            this.contacts.set(key, this.tick);
+        }
+    }
+
+    /**
+     * Ask the decision maker for fresh orders. Each unit decides every
+     * AI.decisionInterval, or straight away when its order has gone stale.
+     */
+    issueOrders() {
+        for (const unit of this.getActiveUnits()) {
+            const current = normalizeOrder(unit.order, unit, this);
+            if (this.tick < unit.nextDecisionTick && isSameOrder(current, unit.order)) continue;
+
+            const decision = this.ai.decide(this.getSituation(unit));
+            unit.order = normalizeOrder(decision, unit, this);
+            unit.nextDecisionTick = this.tick + this.decisionTicks;
+            this.announceCry(unit, decision?.cry);
+        }
+    }
+
+    /**
+     * Log the battle cry that came with an order, once for as long as the
+     * decision maker keeps repeating it
+     */
+    announceCry(unit, cry) {
+        const line = typeof cry === 'string' && cry.trim() ? cry.trim() : null;
+        if (line && line !== unit.lastCry) {
+            const general = this.characters.getGeneral(unit);
+            this.emitEvent(BATTLE_EVENT.BATTLE_CRY, unit, {
+                characters: general ? [{ id: general.id, name: general.name, role: general.role }] : this.getUnitCharacters(unit),
+                cry: line
+            });
+        }
+        unit.lastCry = line;
+    }
+
+    /**
+     * Plain snapshot of what a unit can see, handed to the decision maker.
+     * `intent` is the army-level order the unit's general has passed on for
+     * its wing, or null when it has no general to follow. Enemies carry
+     * `aspect` (the side of them this unit would strike), `threatAspect`
+     * (the side of this unit they would strike), the matchup multiplier for
+     * attacking them from here and `rival` when they carry a rival of one
+     * of this unit's characters. Every unit described carries the `terrain`
+     * type it stands on (null in the open).
+     */
+    getSituation(unit) {
+        const describe = (other) => ({
+            id: other.id,
+            name: other.name,
+            type: other.type,
+            x: other.x,
+            y: other.y,
+            facing: other.facing,
+            soldierCount: Math.ceil(other.soldierCount),
+            morale: other.morale,
+            cohesion: other.cohesion,
+            status: other.status,
+            engaged: other.engaged,
+            terrain: other.terrain,
+            skirmisher: this.missiles.isSkirmisher(other)
+        });
+
+        const others = this.getUnitsOnField().filter(other => other !== unit);
+
+        return {
+            tick: this.tick,
+            time: this.tick * this.timestep,
+            field: { ...this.field },
+            unit: {
+                ...describe(unit),
+                armyIndex: unit.armyIndex,
+                order: unit.order,
+                characters: this.getUnitCharacters(unit),
+                modifiers: { ...this.characters.getModifiers(unit) }
+            },
+            wing: this.command.getWing(unit),
+            intent: this.command.getIntentFor(unit),
+            enemies: others.filter(other => other.armyIndex !== unit.armyIndex).map(other => {
+                const aspect = getAttackAspect(other, unit);
+                return {
+                    ...describe(other),
+                    gap: this.gapBetween(unit, other),
+                    aspect: aspect,
+                    threatAspect: getAttackAspect(unit, other),
+                    matchup: this.combat.getMatchup(unit.type, other.type, aspect),
+                    rival: this.relations.isRival(unit, other)
+                };
+            }),
+            allies: others.filter(other => other.armyIndex === unit.armyIndex).map(other => ({
+                ...describe(other),
+                gap: this.gapBetween(unit, other)
+            }))
+        };
+    }
+
+    /**
+     * Carry out each active unit's order. Engaged units ignore their orders
+     * and wheel to face the enemy they are fighting.
+     */
+    moveUnits() {
+        for (const unit of this.getActiveUnits()) {
+            if (unit.engaged) {
+                this.faceUnit(unit, this.getUnit(unit.targetId));
+                continue;
+            }
+
+            const order = unit.order;
+            switch (order.type) {
+                case ORDER_TYPE.ADVANCE:
+                    this.advanceOn(unit, this.getUnit(order.targetId));
+                    break;
+                case ORDER_TYPE.WHEEL:
+                    this.faceUnit(unit, this.getUnit(order.targetId));
+                    break;
+                case ORDER_TYPE.WITHDRAW:
+                    this.withdraw(unit, this.getUnit(order.fromId));
+                    break;
+                default:
+                    this.faceUnit(unit, this.getUnit(unit.targetId));
+            }
+        }
+    }
+
+    /**
+     * Turn toward another unit without moving
+     */
+    faceUnit(unit, other) {
+        if (!other) return;
+        this.turnUnit(unit, Math.atan2(other.y - unit.y, other.x - unit.x));
+    }
+
+    /**
+     * March toward a target, stopping at contact range, or at missile
+     * standoff distance for skirmishers with ammunition
+     */
+    advanceOn(unit, target) {
+        const dx = target.x - unit.x;
+        const dy = target.y - unit.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance === 0) return;
+
+        this.turnUnit(unit, Math.atan2(dy, dx));
+
+        const standoff = this.missiles.getStandoff(unit) ?? SIMULATION.contactRange / 2;
+        const gap = this.gapBetween(unit, target);
+        const travel = Math.min(this.getSpeed(unit) * this.timestep, Math.max(0, gap - standoff));
+        if (travel <= 0) return;
+
+        unit.x += (dx / distance) * travel;
+        unit.y += (dy / distance) * travel;
+        this.clampToField(unit);
+
+        if (unit.type === 'cavalry' && gap > EVENTS.chargeDistance && this.gapBetween(unit, target) <= EVENTS.chargeDistance) {
+            this.emitEvent(BATTLE_EVENT.CHARGE, unit, { target });
+        }
+    }
+
+    /**
+     * Fall back away from an enemy while still facing it, or toward home
+     * when no enemy is given
+     */
+    withdraw(unit, threat) {
+        let awayX = unit.homeX;
+        let awayY = unit.homeY;
+        if (threat) {
+            awayX = unit.x - threat.x;
+            awayY = unit.y - threat.y;
+            this.faceUnit(unit, threat);
+        }
+
+        const length = Math.hypot(awayX, awayY);
+        if (length === 0) return;
+
+        const travel = this.getSpeed(unit) * this.timestep;
+        unit.x += (awayX / length) * travel;
+        unit.y += (awayY / length) * travel;
+        this.clampToField(unit);
+    }
+
+    /**
+     * Push overlapping blocks apart along the axis of least penetration
+     */
+    separateUnits() {
+        const active = this.getActiveUnits();
+
+        for (let i = 0; i < active.length; i++) {
+            for (let j = i + 1; j < active.length; j++) {
+                const a = active[i];
+                const b = active[j];
+
+                const overlapX = (a.width + b.width) / 2 - Math.abs(a.x - b.x);
+                const overlapY = (a.height + b.height) / 2 - Math.abs(a.y - b.y);
+                if (overlapX <= 0 || overlapY <= 0) continue;
+
+                if (overlapX < overlapY) {
+                    const push = overlapX / 2 * (a.x < b.x ? -1 : 1);
+                    a.x += push;
+                    b.x -= push;
+                } else {
+                    const push = overlapY / 2 * (a.y < b.y ? -1 : 1);
+                    a.y += push;
+                    b.y -= push;
+                }
+
+                this.clampToField(a);
+                this.clampToField(b);
+            }
+        }
+    }
+
+    /**
+     * Keep a block inside the battlefield
+     */
+    clampToField(unit) {
+        unit.x = Math.max(unit.width / 2, Math.min(this.field.width - unit.width / 2, unit.x));
+        unit.y = Math.max(unit.height / 2, Math.min(this.field.height - unit.height / 2, unit.y));
+    }
+
+    /**
+     * Engaged units strike their targets. Casualties are applied simultaneously
+     * so the order units are processed in does not favour either side.
+     */
+    resolveCombat() {
+        const casualties = new Map();
+        this.missiles.fire(casualties);
+
+        for (const unit of this.getActiveUnits()) {
+            if (!unit.engaged) continue;
+
+            const target = this.getUnit(unit.targetId);
+            const aspect = getAttackAspect(target, unit);
+            const kills = this.combat.calculateCasualties(unit, target, aspect);
+
+            if (aspect !== ATTACK_ASPECT.FRONT) {
+                this.morale.recordSideAttack(target, unit, aspect);
+            }
+
+            casualties.set(unit.targetId, (casualties.get(unit.targetId) || 0) + kills);
+        }
+
+        for (const [unitId, losses] of casualties) {
+            this.applyCasualties(this.getUnit(unitId), losses);
+        }
+    }
+
+    /**
+     * Remove soldiers from a unit and shrink its block to match
+     */
+    applyCasualties(unit, losses) {
+        const strength = unit.soldierCount;
+        this.morale.recordLosses(unit, Math.min(losses, strength));
+        unit.soldierCount = Math.max(0, unit.soldierCount - losses);
+
+        if (unit.soldierCount < 1) {
+            unit.soldierCount = 0;
+            unit.status = UNIT_STATUS.DESTROYED;
+            unit.engaged = false;
+            this.emitEvent(BATTLE_EVENT.DESTROYED, unit);
+            this.characters.unitDestroyed(unit);
+            return;
+        }
+
+        this.characters.recordLosses(unit, Math.min(losses, strength), strength);
+
+        const width = Math.min(unit.formation.width, Math.ceil(unit.soldierCount));
+        unit.formation = {
+            width: width,
+            depth: Math.max(1, Math.ceil(unit.soldierCount / width))
+        };
+
+        const size = getUnitVisualSize(unit.formation);
+        unit.width = size.width;
+        unit.height = size.height;
+    }
+
+    /**
+     * End the battle when a victory condition is met, or as a draw when
+     * time runs out
+     */
+    checkBattleEnd() {
+        const outcome = this.victory.check();
+
+        if (outcome) {
+            this.finished = true;
+            this.winner = outcome.winner;
+            this.victoryCondition = outcome.condition;
+        } else if (this.tick >= this.maxTicks) {
+            this.finished = true;
+            this.winner = null;
+            this.victoryCondition = VICTORY_CONDITION.TIME;
+        }
+
+        if (this.finished) {
+            this.characters.finish(this.winner);
+        }
+    }
+
+    /**
+     * Plain snapshot of the current state for renderers
+     */
+    getState() {
+        return {
+            tick: this.tick,
+            time: this.tick * this.timestep,
+            finished: this.finished,
+            winner: this.winner,
+            field: { ...this.field },
+            objective: this.victory.getObjectiveState(),
+            terrain: this.terrain.getRegions(),
+            units: this.units.map(unit => ({
+                id: unit.id,
+                name: unit.name,
+                type: unit.type,
+                armyIndex: unit.armyIndex,
+                x: unit.x,
+                y: unit.y,
+                width: unit.width,
+                height: unit.height,
+                soldierCount: Math.ceil(unit.soldierCount),
+                initialSoldierCount: unit.initialSoldierCount,
+                facing: unit.facing,
+                attackedFrom: unit.attackedFrom,
+                morale: unit.morale,
+                cohesion: unit.cohesion,
+                status: unit.status,
+                engaged: unit.engaged,
+                othismosWith: unit.othismosWith,
+                ammo: unit.ammo,
+                order: unit.order.type,
+                wing: this.command.getWing(unit),
+                isCommander: this.command.getCommander(unit.armyIndex) === unit,
+                firingAt: this.missiles.getRecentVolleyTarget(unit),
+                targetId: unit.targetId
+            }))
+        };
+    }
+
+    /**
+     * Summary of the battle outcome
+     */
+    getResult() {
+        return {
+            finished: this.finished,
+            winner: this.winner,
+            condition: this.victoryCondition,
+            seed: this.seed,
+            ticks: this.tick,
+            duration: this.tick * this.timestep,
+            armies: this.config.armies.map((army, armyIndex) => {
+                const units = this.units.filter(unit => unit.armyIndex === armyIndex);
+                const initial = units.reduce((total, unit) => total + unit.initialSoldierCount, 0);
+                const remaining = units.reduce((total, unit) => total + Math.ceil(unit.soldierCount), 0);
+
+                return {
+                    playerName: army.playerName,
+                    initialSoldiers: initial,
+                    remainingSoldiers: remaining,
+                    casualties: initial - remaining,
+                    unitsDestroyed: units.filter(unit => unit.status === UNIT_STATUS.DESTROYED).length,
+                    unitsRouted: units.filter(unit =>
+                        unit.status === UNIT_STATUS.ROUTING || unit.status === UNIT_STATUS.FLED
+                    ).length,
+                    units: units.map(unit => ({
+                        id: unit.id,
+                        name: unit.name,
+                        type: unit.type,
+                        status: unit.status,
+                        initialSoldiers: unit.initialSoldierCount,
+                        remainingSoldiers: Math.ceil(unit.soldierCount),
+                        casualties: unit.initialSoldierCount - Math.ceil(unit.soldierCount)
+                    }))
+                };
+            }),
+            characters: this.characters.getFates(),
+            relations: this.relations.getPairs()
+        };
+    }
+
+    /**
+     * OnlyWorlds characters still fighting with a unit, with their role in it
+     */
+    getUnitCharacters(unit) {
+        return this.characters.getPresent(unit);
+    }
+
+    /**
+     * Emit a battle event about a unit. `details.target` names the other unit
+     * involved; any other details are copied onto the event as they are.
+     */
+    emitEvent(type, unit, details = {}) {
+        const { target, ...rest } = details;
+        const event = {
+            type: type,
+            tick: this.tick,
+            time: this.tick * this.timestep,
+            unitId: unit.id,
+            unitName: unit.name,
+            armyIndex: unit.armyIndex,
+            characters: this.getUnitCharacters(unit),
+            ...(target ? {
+                targetId: target.id,
+                targetName: target.name,
+                targetCharacters: this.getUnitCharacters(target)
+            } : {}),
+            ...rest
+        };
+        event.text = describeEvent(event);
+        this.events.emit(event);
+        return event;
+    }
+}
+
+export default BattleSimulator;
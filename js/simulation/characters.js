@@ -0,0 +1,232 @@
+/**
+ * Character System
+ * Tracks the named OnlyWorlds characters assigned to units through the
+ * fight. Whenever a unit takes losses its general and soldiers may be hit,
+ * and a hit wounds or kills them; characters caught in a rout can be taken
+ * prisoner, and those whose unit leaves the field flee with it. A living
+ * general lends their unit the modifiers of their personality (see
+ * personality.js), and every fighting character the effects of their
+ * abilities, traits and objects (see effects.js). Fate rolls come from
+ * their own seeded stream, so they do not shift the combat rolls.
+ */
+
+import SeededRandom from './random.js';
+import { CHARACTERS, CHARACTER_FATE, UNIT_STATUS } from '../constants/simulation.js';
+import { BATTLE_EVENT } from './events.js';
+import { BASE_MODIFIERS, getPersonalityModifiers } from './personality.js';
+import { getCharacterEffects, combineEffects } from './effects.js';
+
+const FATE_EVENTS = {
+    [CHARACTER_FATE.WOUNDED]: BATTLE_EVENT.WOUNDED,
+    [CHARACTER_FATE.KILLED]: BATTLE_EVENT.KILLED,
+    [CHARACTER_FATE.CAPTURED]: BATTLE_EVENT.CAPTURED
+};
+
+export class CharacterSystem {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.random = new SeededRandom(`${simulator.seed}:characters`);
+    }
+
+    /**
+     * Give a freshly created simulation unit the state of its characters
+     */
+    initUnit(unit) {
+        unit.characters = [
+            ...(unit.general ? [{ ...unit.general, role: 'general' }] : []),
+            ...unit.soldiers.map(soldier => ({ ...soldier, role: 'soldier' }))
+        ].map(character => ({
+            id: character.id,
+            name: character.name,
+            role: character.role,
+            fate: CHARACTER_FATE.UNHURT,
+            wounded: false,
+            effects: getCharacterEffects(character),
+            ralliesUsed: new Set()     // Sources of one-time rallies already spent
+        }));
+        unit.modifiers = getPersonalityModifiers(unit.general);
+        this.refreshEffects(unit);
+    }
+
+    /**
+     * Re-total the unit's battle effects from the characters still fighting
+     */
+    refreshEffects(unit) {
+        unit.effects = combineEffects(unit.characters.filter(character => this.isFighting(character)));
+    }
+
+    /**
+     * Combined attack, defense and steadiness effects of the unit's characters
+     */
+    getEffects(unit) {
+        return unit.effects;
+    }
+
+    /**
+     * Spend the first unused one-time rally of a fighting character, the
+     * general's first, and announce it
+     * @returns {number} Morale restored, 0 when none is left
+     */
+    useRally(unit) {
+        for (const character of unit.characters) {
+            if (!this.isFighting(character)) continue;
+
+            const effect = character.effects.find(candidate =>
+                candidate.rally && !character.ralliesUsed.has(candidate.source)
+            );
+            if (!effect) continue;
+
+            character.ralliesUsed.add(effect.source);
+            const { id, name, role } = character;
+            this.simulator.emitEvent(BATTLE_EVENT.ABILITY, unit, {
+                characters: [{ id, name, role }],
+                ability: effect.source
+            });
+            return effect.rally;
+        }
+        return 0;
+    }
+
+    /**
+     * Whether a character is still with their unit and able to fight
+     */
+    isFighting(character) {
+        return character.fate === CHARACTER_FATE.UNHURT || character.fate === CHARACTER_FATE.WOUNDED;
+    }
+
+    /**
+     * Characters still fighting with a unit, as { id, name, role }
+     */
+    getPresent(unit) {
+        return unit.characters
+            .filter(character => this.isFighting(character))
+            .map(({ id, name, role }) => ({ id, name, role }));
+    }
+
+    /**
+     * The unit's general if they are still alive and free, else null
+     */
+    getGeneral(unit) {
+        const general = unit.characters.find(character => character.role === 'general');
+        return general && this.isFighting(general) ? general : null;
+    }
+
+    /**
+     * Modifiers from the unit's general's personality, or the base values
+     * once the general is gone
+     */
+    getModifiers(unit) {
+        return this.getGeneral(unit) ? unit.modifiers : BASE_MODIFIERS;
+    }
+
+    /**
+     * Whether the unit's general has been killed or taken prisoner
+     */
+    isGeneralLost(unit) {
+        const general = unit.characters.find(character => character.role === 'general');
+        return Boolean(general) && (general.fate === CHARACTER_FATE.KILLED || general.fate === CHARACTER_FATE.CAPTURED);
+    }
+
+    /**
+     * Roll for each character of a unit that just lost `losses` of its
+     * `strength` men. Hit while routing they may be captured instead.
+     */
+    recordLosses(unit, losses, strength) {
+        if (strength <= 0 || losses <= 0) return;
+
+        const share = Math.min(1, losses / strength);
+        const routing = unit.status === UNIT_STATUS.ROUTING;
+
+        for (const character of unit.characters) {
+            if (!this.isFighting(character)) continue;
+            if (!this.random.chance(share * CHARACTERS.exposure[character.role])) continue;
+
+            if (routing && this.random.chance(CHARACTERS.captureChance[character.role])) {
+                this.setFate(unit, character, CHARACTER_FATE.CAPTURED);
+            } else if (this.random.chance(CHARACTERS.killChance[character.fate])) {
+                this.setFate(unit, character, CHARACTER_FATE.KILLED);
+            } else {
+                this.setFate(unit, character, CHARACTER_FATE.WOUNDED);
+            }
+        }
+    }
+
+    /**
+     * The unit has been cut down: whoever is left is killed or captured
+     */
+    unitDestroyed(unit) {
+        for (const character of unit.characters) {
+            if (!this.isFighting(character)) continue;
+            const captured = this.random.chance(CHARACTERS.captureChance[character.role]);
+            this.setFate(unit, character, captured ? CHARACTER_FATE.CAPTURED : CHARACTER_FATE.KILLED);
+        }
+    }
+
+    /**
+     * The unit has run off the field and its characters with it
+     */
+    unitFled(unit) {
+        for (const character of unit.characters) {
+            if (this.isFighting(character)) {
+                character.fate = CHARACTER_FATE.FLED;
+            }
+        }
+    }
+
+    /**
+     * Settle the characters of units still routing when the battle ends: on
+     * the losing side the pursuit may catch them, otherwise they get away
+     */
+    finish(winner) {
+        for (const unit of this.simulator.units) {
+            if (unit.status !== UNIT_STATUS.ROUTING || unit.armyIndex === winner) continue;
+
+            for (const character of unit.characters) {
+                if (!this.isFighting(character)) continue;
+                if (winner !== null && this.random.chance(CHARACTERS.pursuitCapture[character.role])) {
+                    this.setFate(unit, character, CHARACTER_FATE.CAPTURED);
+                } else {
+                    character.fate = CHARACTER_FATE.FLED;
+                }
+            }
+        }
+    }
+
+    /**
+     * Change a character's fate and announce it on the event bus. A general
+     * killed in the fighting is announced as a fallen general.
+     */
+    setFate(unit, character, fate) {
+        if (character.fate === fate) return;
+
+        character.fate = fate;
+        if (fate === CHARACTER_FATE.WOUNDED) {
+            character.wounded = true;
+        }
+
+        const type = fate === CHARACTER_FATE.KILLED && character.role === 'general'
+            ? BATTLE_EVENT.GENERAL_FELL
+            : FATE_EVENTS[fate];
+        this.refreshEffects(unit);
+        const { id, name, role } = character;
+        this.simulator.emitEvent(type, unit, { characters: [{ id, name, role }] });
+    }
+
+    /**
+     * Every assigned character with their unit and fate, for battle results
+     */
+    getFates() {
+        return this.simulator.units.flatMap(unit => unit.characters.map(character => ({
+            id: character.id,
+            name: character.name,
+            role: character.role,
+            armyIndex: unit.armyIndex,
+            unitId: unit.id,
+            unitName: unit.name,
+            fate: character.fate,
+            wounded: character.wounded
+        })));
+    }
+}
+
+export default CharacterSystem;
@@ -0,0 +1,92 @@
+/**
+ * Combat Resolver
+ * Works out casualties for a single attack from unit stats and the
+ * combined-arms matchup table. All balance numbers live in constants.
+ */
+
+import { UNIT_TYPES, MATCHUPS } from '../constants/units.js';
+import { SIMULATION, OTHISMOS, MISSILES, FACING } from '../constants/simulation.js';
+
+export const ATTACK_CONTEXT = {
+    FRONT: 'front',
+    FLANK: 'flank',
+    REAR: 'rear',
+    RANGED: 'ranged'
+};
+
+export class CombatResolver {
+    constructor(simulator) {
+        this.simulator = simulator;
+    }
+
+    /**
+     * Matchup multiplier for an attacker type hitting a defender type
+     */
+    getMatchup(attackerType, defenderType, context) {
+        const entry = MATCHUPS[attackerType]?.[defenderType];
+        if (!entry) return 1;
+        if (context === ATTACK_CONTEXT.REAR && entry[context] === undefined) {
+            context = ATTACK_CONTEXT.FLANK;
+        }
+        return entry[context] ?? entry[ATTACK_CONTEXT.FRONT] ?? 1;
+    }
+
+    /**
+     * Casualty multiplier from the characters' abilities, traits and objects
+     * on both sides, and the attacker's grudge against a rival in the defender
+     */
+    getEffectFactor(attacker, defender) {
+        const characters = this.simulator.characters;
+        const attack = characters.getEffects(attacker).attack + this.simulator.relations.getAggression(attacker, defender);
+        return (1 + attack) / (1 + characters.getEffects(defender).defense);
+    }
+
+    /**
+     * Casualties one tick of melee inflicts. Context is the side struck
+     * (front, flank or rear). Scales with the attacker's frontage, attack vs.
+     * defense, the matchup, the side struck, character effects, the ground
+     * and the attacker's cohesion; phalanxes in othismos kill fewer men.
+     */
+    calculateCasualties(attacker, defender, context) {
+        const attackerStats = UNIT_TYPES[attacker.type].stats;
+        const defenderStats = UNIT_TYPES[defender.type].stats;
+
+        const frontage = Math.min(attacker.formation.width, attacker.soldierCount);
+        const variance = this.simulator.random.range(-SIMULATION.killVariance, SIMULATION.killVariance);
+
+        let kills = frontage * SIMULATION.killRate * this.simulator.timestep * (1 + variance);
+        kills *= attackerStats.attack / defenderStats.defense;
+        kills *= this.getMatchup(attacker.type, defender.type, context);
+        kills *= FACING.damageBonus[context] ?? 1;
+        kills *= this.getEffectFactor(attacker, defender);
+        kills *= this.simulator.terrain.getCombatFactor(attacker, defender);
+        kills *= attacker.cohesion;
+
+        if (attacker.othismosWith === defender.id) {
+            kills *= OTHISMOS.casualtyFactor;
+        }
+
+        return kills;
+    }
+
+    /**
+     * Casualties from one missile volley. Every soldier in a skirmish
+     * screen can throw, so this scales with the whole unit, not its frontage.
+     */
+    calculateVolley(attacker, defender) {
+        const attackerStats = UNIT_TYPES[attacker.type].stats;
+        const defenderStats = UNIT_TYPES[defender.type].stats;
+        const variance = this.simulator.random.range(-SIMULATION.killVariance, SIMULATION.killVariance);
+
+        let kills = attacker.soldierCount * MISSILES.volleyHitRate * (1 + variance);
+        kills *= attackerStats.attack / defenderStats.defense;
+        kills *= this.getMatchup(attacker.type, defender.type, ATTACK_CONTEXT.RANGED);
+        kills *= this.getEffectFactor(attacker, defender);
+        kills *= this.simulator.terrain.getCombatFactor(attacker, defender);
+        kills *= attacker.cohesion;
+
+        return kills;
+    }
+}
+
+export default CombatResolver;
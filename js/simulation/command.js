@@ -0,0 +1,245 @@
+/**
+ * Command System
+ * Army command through the unit hierarchy. The highest-ranked general still
+ * fighting (lowest `hierarchy` number) plans army-level intents per wing;
+ * messengers carry them to the other generals with a delay that grows with
+ * distance, and units without a general follow the nearest general's orders.
+ * When a general is killed or captured, or their unit routs or falls,
+ * command passes down the hierarchy.
+ */
+
+import { UNIT_TYPES } from '../constants/units.js';
+import { COMMAND, UNIT_STATUS } from '../constants/simulation.js';
+import { BATTLE_EVENT } from './events.js';
+
+export const INTENT_TYPE = {
+    ADVANCE: 'advance',
+    HOLD: 'hold'
+};
+
+export const WINGS = ['left', 'centre', 'right'];
+
+export class CommandSystem {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.commanderIds = [];      // Current commander's unit ID per army
+        this.nextPlanTicks = [];     // Tick of each commander's next review
+        this.wings = new Map();      // Unit ID -> wing, refreshed every tick
+    }
+
+    /**
+     * Add command state to a freshly created simulation unit
+     */
+    initUnit(unit) {
+        unit.receivedIntents = {};   // Wing -> latest intent that reached this general
+        unit.pendingIntents = [];    // Intents still on their way: { intent, arrivalTick }
+    }
+
+    /**
+     * Generals still fighting in an army, highest rank first
+     */
+    getGenerals(armyIndex) {
+        return this.simulator.getActiveUnits(armyIndex)
+            .filter(unit => this.simulator.characters.getGeneral(unit))
+            .sort((a, b) => (a.hierarchy ?? Infinity) - (b.hierarchy ?? Infinity) || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * The army's commander, or null when no general is left standing
+     */
+    getCommander(armyIndex) {
+        return this.simulator.getUnit(this.commanderIds[armyIndex]) || null;
+    }
+
+    /**
+     * The general whose orders a unit follows: its own, else the nearest one
+     */
+    getCommandingGeneral(unit) {
+        if (unit.status === UNIT_STATUS.ACTIVE && this.simulator.characters.getGeneral(unit)) return unit;
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const general of this.getGenerals(unit.armyIndex)) {
+            const distance = Math.hypot(general.x - unit.x, general.y - unit.y);
+            if (distance < nearestDistance) {
+                nearest = general;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * The intent a unit is currently following, or null to act on its own
+     */
+    getIntentFor(unit) {
+        const general = this.getCommandingGeneral(unit);
+        if (!general) return null;
+        return general.receivedIntents[this.getWing(unit)] || null;
+    }
+
+    getWing(unit) {
+        return this.wings.get(unit.id) || 'centre';
+    }
+
+    /**
+     * One tick of command: pass command on, let commanders plan and deliver
+     * intents that have reached their generals
+     */
+    update() {
+        const simulator = this.simulator;
+
+        simulator.config.armies.forEach((army, armyIndex) => {
+            this.assignWings(armyIndex);
+
+            const commander = this.getGenerals(armyIndex)[0] || null;
+            const commanderId = commander ? commander.id : null;
+            if (commanderId !== (this.commanderIds[armyIndex] ?? null)) {
+                // Command passes: the new commander reviews the battle at once
+                if (commander && this.commanderIds[armyIndex] !== undefined) {
+                    simulator.emitEvent(BATTLE_EVENT.COMMAND, commander);
+                }
+                this.commanderIds[armyIndex] = commanderId;
+                this.nextPlanTicks[armyIndex] = simulator.tick;
+            }
+
+            if (commander && simulator.tick >= this.nextPlanTicks[armyIndex]) {
+                this.dispatch(commander, this.planIntents(armyIndex));
+                this.nextPlanTicks[armyIndex] = simulator.tick + Math.round(COMMAND.intentInterval / simulator.timestep);
+            }
+        });
+
+        for (const unit of simulator.getActiveUnits()) {
+            if (unit.pendingIntents.length === 0) continue;
+
+            const arrived = unit.pendingIntents.filter(pending => pending.arrivalTick <= simulator.tick);
+            for (const { intent } of arrived) {
+                unit.receivedIntents[intent.wing] = intent;
+            }
+            unit.pendingIntents = unit.pendingIntents.filter(pending => pending.arrivalTick > simulator.tick);
+        }
+    }
+
+    /**
+     * Split an army into left, centre and right by each unit's offset across
+     * the line toward the enemy, in thirds of the army's frontage
+     */
+    assignWings(armyIndex) {
+        const axis = this.getAxis(armyIndex);
+        const units = this.simulator.getUnitsOnField(armyIndex);
+        if (!axis || units.length === 0) {
+            units.forEach(unit => this.wings.set(unit.id, 'centre'));
+            return;
+        }
+
+        const offsets = units.map(unit => this.getLateralOffset(unit, axis));
+        const min = Math.min(...offsets);
+        const third = (Math.max(...offsets) - min) / 3;
+
+        units.forEach((unit, index) => {
+            const band = third > 0 ? Math.min(2, Math.floor((offsets[index] - min) / third)) : 1;
+            this.wings.set(unit.id, WINGS[band]);
+        });
+    }
+
+    /**
+     * Army centre and unit direction toward the enemy's centre
+     */
+    getAxis(armyIndex) {
+        const own = this.getCentroid(this.simulator.getUnitsOnField(armyIndex));
+        const enemy = this.getCentroid(this.simulator.getUnitsOnField()
+            .filter(unit => unit.armyIndex !== armyIndex));
+        if (!own || !enemy) return null;
+
+        const dx = enemy.x - own.x;
+        const dy = enemy.y - own.y;
+        const length = Math.hypot(dx, dy) || 1;
+        return { x: own.x, y: own.y, dx: dx / length, dy: dy / length };
+    }
+
+    getCentroid(units) {
+        if (units.length === 0) return null;
+        return {
+            x: units.reduce((total, unit) => total + unit.x, 0) / units.length,
+            y: units.reduce((total, unit) => total + unit.y, 0) / units.length
+        };
+    }
+
+    /**
+     * Signed distance across the axis; positive is to the right looking at the enemy
+     */
+    getLateralOffset(unit, axis) {
+        return (unit.x - axis.x) * -axis.dy + (unit.y - axis.y) * axis.dx;
+    }
+
+    /**
+     * The commander's plan: each wing advances when it is strong enough
+     * against the enemy troops across from it, and holds otherwise
+     */
+    planIntents(armyIndex) {
+        const simulator = this.simulator;
+        const axis = this.getAxis(armyIndex);
+        if (!axis) return [];
+
+        const own = simulator.getActiveUnits(armyIndex);
+        const bands = { left: [], centre: [], right: [] };
+        own.forEach(unit => bands[this.getWing(unit)].push(this.getLateralOffset(unit, axis)));
+
+        return WINGS.filter(wing => bands[wing].length > 0).map(wing => {
+            const friends = own.filter(unit => this.getWing(unit) === wing);
+            const low = Math.min(...bands[wing]) - friends[0].width;
+            const high = Math.max(...bands[wing]) + friends[0].width;
+            const opposing = simulator.getActiveUnits()
+                .filter(unit => unit.armyIndex !== armyIndex)
+                .filter(unit => {
+                    const offset = this.getLateralOffset(unit, axis);
+                    return offset >= low && offset <= high;
+                });
+
+            const strength = this.getStrength(friends);
+            const enemyStrength = this.getStrength(opposing);
+            const advance = enemyStrength === 0 || strength >= enemyStrength * COMMAND.advanceRatio;
+
+            return {
+                wing: wing,
+                type: advance ? INTENT_TYPE.ADVANCE : INTENT_TYPE.HOLD,
+                issuedAt: simulator.tick,
+                issuedBy: this.commanderIds[armyIndex]
+            };
+        });
+    }
+
+    /**
+     * Fighting weight of a group of units
+     */
+    getStrength(units) {
+        return units.reduce((total, unit) => {
+            const stats = UNIT_TYPES[unit.type].stats;
+            return total + unit.soldierCount * (stats.attack + stats.defense) / 2 * (unit.morale / 100);
+        }, 0);
+    }
+
+    /**
+     * Send intents from the commander to every general in the army. The
+     * commander acts on them at once; others wait for the messenger, longer
+     * when the two generals are feuding.
+     */
+    dispatch(commander, intents) {
+        const simulator = this.simulator;
+
+        for (const general of this.getGenerals(commander.armyIndex)) {
+            if (general === commander) {
+                intents.forEach(intent => { general.receivedIntents[intent.wing] = intent; });
+                continue;
+            }
+
+            const distance = Math.hypot(general.x - commander.x, general.y - commander.y);
+            const delay = (COMMAND.baseDelay + distance / COMMAND.messengerSpeed) *
+                simulator.relations.getDelayFactor(commander, general);
+            const arrivalTick = simulator.tick + Math.round(delay / simulator.timestep);
+            intents.forEach(intent => general.pendingIntents.push({ intent, arrivalTick }));
+        }
+    }
+}
+
+export default CommandSystem;
@@ -0,0 +1,94 @@
+/**
+ * Battle Effects
+ * Looks up what a character's linked abilities, traits and objects do in
+ * battle (see constants/effects.js) and totals them for the unit they fight
+ * in. Characters carry their linked elements as `linked: { abilities,
+ * traits, objects }`, each a list of { id, name, supertype }.
+ */
+
+import { EFFECT_REGISTRY, EFFECT_LINK_FIELDS, EFFECT_LIMITS } from '../constants/effects.js';
+
+// Effects of a unit with no characters, or none the registry knows
+export const NO_EFFECTS = Object.freeze({ attack: 0, defense: 0, steadiness: 0 });
+
+/**
+ * Add or replace a registry entry so a world's own elements have an effect
+ * @param {string} category - 'ability', 'trait' or 'object'
+ * @param {string} key - Element name, or supertype when match is 'supertype'
+ * @param {Object} effect - { label, attack, defense, steadiness, rally }
+ */
+export function registerBattleEffect(category, key, effect, match = 'name') {
+    const entry = EFFECT_REGISTRY[category];
+    if (!entry) {
+        throw new Error(`Unknown battle effect category: ${category}`);
+    }
+    const table = match === 'supertype' ? entry.supertypes : entry.names;
+    table[key.trim().toLowerCase()] = { label: key, ...effect };
+}
+
+/**
+ * Registry entry for a linked element: by name, else by supertype, else null
+ */
+export function lookupEffect(category, element) {
+    const entry = EFFECT_REGISTRY[category];
+    if (!entry || !element) return null;
+
+    const name = (element.name || '').trim().toLowerCase();
+    const supertype = (element.supertype || '').trim().toLowerCase();
+    return entry.names[name] || entry.supertypes[supertype] || null;
+}
+
+/**
+ * Effects of every linked element of a character that the registry knows
+ * @returns {Array<Object>} [{ category, source, label, attack, defense, steadiness, rally }]
+ */
+export function getCharacterEffects(character) {
+    const linked = character?.linked || {};
+    const effects = [];
+
+    for (const [field, category] of Object.entries(EFFECT_LINK_FIELDS)) {
+        for (const element of linked[field] || []) {
+            const effect = lookupEffect(category, element);
+            if (effect) {
+                effects.push({ ...effect, category, source: element.name });
+            }
+        }
+    }
+    return effects;
+}
+
+/**
+ * Total attack, defense and steadiness of the characters in a unit. A
+ * soldier's effects count for a share of a general's.
+ * @param {Array<Object>} characters - [{ role, effects }]
+ */
+export function combineEffects(characters) {
+    const total = { attack: 0, defense: 0, steadiness: 0 };
+
+    for (const character of characters) {
+        const share = character.role === 'general' ? 1 : EFFECT_LIMITS.soldierShare;
+        for (const effect of character.effects) {
+            total.attack += (effect.attack || 0) * share;
+            total.defense += (effect.defense || 0) * share;
+            total.steadiness += (effect.steadiness || 0) * share;
+        }
+    }
+
+    total.attack = Math.max(EFFECT_LIMITS.minModifier, total.attack);
+    total.defense = Math.max(EFFECT_LIMITS.minModifier, total.defense);
+    total.steadiness = Math.min(EFFECT_LIMITS.maxSteadiness, total.steadiness);
+    return total;
+}
+
+/**
+ * Short description of one effect: "+10% attack, one-time +30 morale"
+ */
+export function describeEffect(effect) {
+    const percent = (value) => `${value > 0 ? '+' : ''}${Math.round(value * 100)}%`;
+    const parts = [];
+    if (effect.attack) parts.push(`${percent(effect.attack)} attack`);
+    if (effect.defense) parts.push(`${percent(effect.defense)} defense`);
+    if (effect.steadiness) parts.push(`${percent(effect.steadiness)} steadiness`);
+    if (effect.rally) parts.push(`one-time +${effect.rally} morale`);
+    return parts.join(', ');
+}
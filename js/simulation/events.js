@@ -0,0 +1,101 @@
+/**
+ * Battle Event Bus
+ * Typed events emitted by the simulation as the battle unfolds. Every event
+ * names the unit it happened to and the OnlyWorlds characters assigned to it,
+ * so logs and narratives can say which named character did what.
+ */
+
+export const BATTLE_EVENT = {
+    ENGAGEMENT: 'engagement',
+    CHARGE: 'charge',
+    STRIKE: 'strike',
+    ROUT: 'rout',
+    RALLY: 'rally',
+    FLED: 'fled',
+    DESTROYED: 'destroyed',
+    GENERAL_FELL: 'general-fell',
+    WOUNDED: 'wounded',
+    KILLED: 'killed',
+    CAPTURED: 'captured',
+    ABILITY: 'ability',
+    DIALOGUE: 'dialogue',
+    BATTLE_CRY: 'battle-cry',
+    COMMAND: 'command'
+};
+
+export class BattleEventBus {
+    constructor() {
+        this.handlers = new Map();   // Event type (or '*') -> Set of handlers
+        this.history = [];
+    }
+
+    /**
+     * Listen for one event type, or '*' for all of them
+     * @returns {Function} Call to stop listening
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.handlers.get(type).delete(handler);
+    }
+
+    emit(event) {
+        this.history.push(event);
+
+        for (const type of [event.type, '*']) {
+            for (const handler of this.handlers.get(type) || []) {
+                try {
+                    handler(event);
+                } catch (error) {
+                    console.error(`Battle event handler failed for ${event.type}:`, error);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * One-line description of an event for logs and timelines
+ */
+export function describeEvent(event) {
+    switch (event.type) {
+        case BATTLE_EVENT.ENGAGEMENT:
+            return `${event.unitName} engages ${event.targetName}`;
+        case BATTLE_EVENT.CHARGE:
+            return `${event.unitName} charges ${event.targetName}`;
+        case BATTLE_EVENT.STRIKE:
+            return `${event.targetName} strikes ${event.unitName} in the ${event.aspect}`;
+        case BATTLE_EVENT.ROUT:
+            return `${event.unitName} breaks and routs`;
+        case BATTLE_EVENT.RALLY:
+            return `${event.unitName} rallies`;
+        case BATTLE_EVENT.FLED:
+            return `${event.unitName} flees the field`;
+        case BATTLE_EVENT.DESTROYED:
+            return `${event.unitName} is destroyed`;
+        case BATTLE_EVENT.GENERAL_FELL: {
+            const general = event.characters.find(character => character.role === 'general');
+            return `${general ? general.name : 'The general'} of ${event.unitName} falls`;
+        }
+        case BATTLE_EVENT.WOUNDED:
+            return `${event.characters[0].name} of ${event.unitName} is wounded`;
+        case BATTLE_EVENT.KILLED:
+            return `${event.characters[0].name} of ${event.unitName} is killed`;
+        case BATTLE_EVENT.CAPTURED:
+            return `${event.characters[0].name} of ${event.unitName} is taken prisoner`;
+        case BATTLE_EVENT.ABILITY:
+            return `${event.characters[0].name} steadies ${event.unitName} (${event.ability})`;
+        case BATTLE_EVENT.DIALOGUE:
+            return `${event.characters[0].name}: "${event.line}"`;
+        case BATTLE_EVENT.BATTLE_CRY:
+            return `${event.characters[0]?.name || event.unitName} cries: "${event.cry}"`;
+        case BATTLE_EVENT.COMMAND:
+            return `Command passes to ${event.unitName}`;
+        default:
+            return `${event.unitName}: ${event.type}`;
+    }
+}
+
+export default BattleEventBus;
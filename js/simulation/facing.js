@@ -0,0 +1,66 @@
+/**
+ * Facing Helpers
+ * Angle maths for unit facing. The battle config stores facing in compass
+ * degrees (0 = up/north, clockwise) because that is what the builder shows;
+ * the simulator works in radians (0 = right, counter-clockwise on screen y-down).
+ */
+
+import { FACING } from '../constants/simulation.js';
+
+export const ATTACK_ASPECT = {
+    FRONT: 'front',
+    FLANK: 'flank',
+    REAR: 'rear'
+};
+
+/**
+ * Convert builder facing (compass degrees) to a simulator angle
+ */
+export function facingToRadians(degrees) {
+    return (degrees - 90) * Math.PI / 180;
+}
+
+/**
+ * Convert a simulator angle back to builder facing (compass degrees, 0-359)
+ */
+export function radiansToFacing(radians) {
+    const degrees = radians * 180 / Math.PI + 90;
+    return ((Math.round(degrees) % 360) + 360) % 360;
+}
+
+/**
+ * Smallest absolute difference between two angles, 0 to PI
+ */
+export function angleDifference(a, b) {
+    let difference = Math.abs(a - b) % (Math.PI * 2);
+    if (difference > Math.PI) {
+        difference = Math.PI * 2 - difference;
+    }
+    return difference;
+}
+
+/**
+ * Rotate `current` toward `desired` by at most `maxTurn` radians
+ */
+export function turnToward(current, desired, maxTurn) {
+    let delta = (desired - current) % (Math.PI * 2);
+    if (delta > Math.PI) delta -= Math.PI * 2;
+    if (delta < -Math.PI) delta += Math.PI * 2;
+
+    if (Math.abs(delta) <= maxTurn) {
+        return desired;
+    }
+    return current + Math.sign(delta) * maxTurn;
+}
+
+/**
+ * Which side of `target` an attack from `attacker` lands on
+ */
+export function getAttackAspect(target, attacker) {
+    const angle = Math.atan2(attacker.y - target.y, attacker.x - target.x);
+    const difference = angleDifference(angle, target.facing);
+
+    if (difference > FACING.rearArc) return ATTACK_ASPECT.REAR;
+    if (difference > FACING.frontArc) return ATTACK_ASPECT.FLANK;
+    return ATTACK_ASPECT.FRONT;
+}
@@ -0,0 +1,79 @@
+/**
+ * Missile System
+ * Ranged skirmish fire: units with a range stat throw volleys at enemies in
+ * reach and stand off at a distance while they have ammunition. Falling back
+ * from heavier troops is left to the unit AI. Out of ammunition they fight
+ * like everyone else.
+ */
+
+import { UNIT_TYPES } from '../constants/units.js';
+import { MISSILES } from '../constants/simulation.js';
+
+export class MissileSystem {
+    constructor(simulator) {
+        this.simulator = simulator;
+    }
+
+    /**
+     * Add ammunition state to a freshly created simulation unit
+     */
+    initUnit(unit) {
+        const stats = UNIT_TYPES[unit.type].stats;
+        unit.ammo = stats.ammo;
+        unit.reloadTimer = 0;
+        unit.volleyTargetId = null;
+        unit.volleyTick = -Infinity;
+    }
+
+    /**
+     * Whether the unit still skirmishes rather than closing to melee
+     */
+    isSkirmisher(unit) {
+        return UNIT_TYPES[unit.type].stats.range > 0 && unit.ammo > 0;
+    }
+
+    /**
+     * Gap a skirmisher keeps from the unit it advances on, or null to close to melee
+     */
+    getStandoff(unit) {
+        if (!this.isSkirmisher(unit)) return null;
+        return UNIT_TYPES[unit.type].stats.range * MISSILES.holdDistance;
+    }
+
+    /**
+     * Reload and throw volleys, adding casualties to the tick's casualty map
+     */
+    fire(casualties) {
+        const simulator = this.simulator;
+
+        for (const unit of simulator.getActiveUnits()) {
+            if (!this.isSkirmisher(unit)) continue;
+
+            unit.reloadTimer = Math.max(0, unit.reloadTimer - simulator.timestep);
+            if (unit.reloadTimer > 0 || unit.engaged) continue;
+
+            const target = simulator.getUnit(unit.targetId);
+            if (!target) continue;
+
+            const range = UNIT_TYPES[unit.type].stats.range;
+            if (simulator.gapBetween(unit, target) > range) continue;
+
+            const kills = simulator.combat.calculateVolley(unit, target);
+            casualties.set(target.id, (casualties.get(target.id) || 0) + kills);
+
+            unit.ammo--;
+            unit.reloadTimer = UNIT_TYPES[unit.type].stats.reload;
+            unit.volleyTargetId = target.id;
+            unit.volleyTick = simulator.tick;
+        }
+    }
+
+    /**
+     * Target of a volley thrown in the last few ticks, for renderers
+     */
+    getRecentVolleyTarget(unit) {
+        return this.simulator.tick - unit.volleyTick < MISSILES.tracerTicks ? unit.volleyTargetId : null;
+    }
+}
+
+export default MissileSystem;
@@ -0,0 +1,186 @@
+/**
+ * Morale System
+ * Tracks per-unit morale and cohesion, breaks units into rout and rallies them
+ * when a general is close enough to steady them.
+ */
+
+import { MORALE, FACING, UNIT_STATUS } from '../constants/simulation.js';
+import { TERRAIN } from '../constants/terrain.js';
+import { ATTACK_ASPECT } from './facing.js';
+import { BATTLE_EVENT } from './events.js';
+
+export class MoraleSystem {
+    constructor(simulator) {
+        this.simulator = simulator;
+    }
+
+    /**
+     * Add morale state to a freshly created simulation unit
+     */
+    initUnit(unit) {
+        unit.morale = MORALE.initial;
+        unit.cohesion = 1;
+        unit.tickLosses = 0;
+        unit.attackedFrom = null;          // Worst side struck last tick: 'flank', 'rear' or null
+        unit.tickAttackedFrom = null;      // Worst side struck so far this tick
+        unit.sideAttackers = new Map();    // Enemy ID -> last tick it struck the flank or rear
+        unit.sideShock = 0;
+    }
+
+    /**
+     * Record losses taken this tick; morale reacts in update()
+     */
+    recordLosses(unit, losses) {
+        unit.tickLosses += losses;
+    }
+
+    /**
+     * Record a blow landing on the target's flank or rear. An enemy that was
+     * not already striking that side shocks the unit once; update() then
+     * drains morale for as long as the attack keeps up.
+     */
+    recordSideAttack(target, attacker, aspect) {
+        if (target.tickAttackedFrom !== ATTACK_ASPECT.REAR) {
+            target.tickAttackedFrom = aspect;
+        }
+        const lastStrike = target.sideAttackers.get(attacker.id);
+        const memory = FACING.shockMemory / this.simulator.timestep;
+        if (lastStrike === undefined || this.simulator.tick - lastStrike > memory) {
+            target.sideShock += FACING.moraleShock[aspect];
+            this.simulator.emitEvent(BATTLE_EVENT.STRIKE, target, { target: attacker, aspect });
+        }
+        target.sideAttackers.set(attacker.id, this.simulator.tick);
+    }
+
+    /**
+     * Whether a living friendly general's unit is within that general's
+     * command radius (a general commands their own unit)
+     */
+    isInCommand(unit) {
+        const characters = this.simulator.characters;
+        return this.simulator.getUnitsOnField(unit.armyIndex).some(other =>
+            characters.getGeneral(other) &&
+            (other === unit || other.status === UNIT_STATUS.ACTIVE) &&
+            this.distance(unit, other) <= characters.getModifiers(other).commandRadius
+        );
+    }
+
+    distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * Apply one tick of morale and cohesion changes. All changes are worked out
+     * from the state at the start of the tick, then applied together.
+     */
+    update() {
+        const dt = this.simulator.timestep;
+        const onField = this.simulator.getUnitsOnField();
+        const routing = onField.filter(unit => unit.status === UNIT_STATUS.ROUTING);
+
+        const changes = onField.map(unit => {
+            const lossShare = unit.tickLosses / unit.initialSoldierCount;
+            let morale = -lossShare * MORALE.casualtyShock;
+            let cohesion = -lossShare * MORALE.cohesionCasualtyLoss;
+            const cohesionCap = this.simulator.terrain.getCohesionCap(unit);
+
+            if (unit.tickAttackedFrom) {
+                morale -= unit.sideShock + FACING.moraleDrain[unit.tickAttackedFrom] * dt;
+                cohesion -= FACING.cohesionDrain[unit.tickAttackedFrom] * dt;
+            }
+
+            if (unit.status === UNIT_STATUS.ACTIVE) {
+                const panickingAllies = routing.filter(other =>
+                    other.armyIndex === unit.armyIndex &&
+                    this.distance(unit, other) <= MORALE.panicRadius
+                ).length;
+                morale -= panickingAllies * MORALE.panicRate * dt;
+
+                if (!unit.engaged) {
+                    cohesion += MORALE.cohesionRecovery * dt;
+                }
+            }
+
+            // Broken ground loosens the ranks down to what it allows, and they
+            // cannot reform there
+            if (unit.cohesion > cohesionCap) {
+                cohesion = Math.min(cohesion, 0) - TERRAIN.cohesionDrain * dt;
+            }
+
+            if (this.isInCommand(unit)) {
+                morale += MORALE.rallyRate * dt;
+            }
+
+            // Shaken units lose morale faster; steady characters soften the blow
+            if (morale < 0) {
+                morale *= (2 - unit.cohesion) * (1 - this.simulator.characters.getEffects(unit).steadiness);
+            }
+
+            return { unit, morale, cohesion };
+        });
+
+        for (const { unit, morale, cohesion } of changes) {
+            unit.morale = Math.max(0, Math.min(MORALE.initial, unit.morale + morale));
+            unit.cohesion = Math.max(MORALE.minCohesion, Math.min(1, unit.cohesion + cohesion));
+            unit.tickLosses = 0;
+            unit.attackedFrom = unit.tickAttackedFrom;
+            unit.tickAttackedFrom = null;
+            unit.sideShock = 0;
+
+            const routThreshold = this.simulator.characters.getModifiers(unit).routThreshold;
+            if (unit.status === UNIT_STATUS.ACTIVE && unit.morale <= routThreshold) {
+                // A character's one-time rally can hold the unit together
+                const rally = this.simulator.characters.useRally(unit);
+                if (rally > 0) {
+                    unit.morale = Math.min(MORALE.initial, unit.morale + rally);
+                    continue;
+                }
+
+                unit.status = UNIT_STATUS.ROUTING;
+                unit.engaged = false;
+                this.simulator.emitEvent(BATTLE_EVENT.ROUT, unit);
+            } else if (unit.status === UNIT_STATUS.ROUTING && unit.morale >= MORALE.rallyThreshold) {
+                unit.status = UNIT_STATUS.ACTIVE;
+                unit.cohesion = MORALE.minCohesion;
+                this.simulator.emitEvent(BATTLE_EVENT.RALLY, unit);
+            }
+        }
+    }
+
+    /**
+     * Routing units run away from the nearest enemy, back toward their own side,
+     * and are removed once they leave the field
+     */
+    moveRoutingUnits() {
+        const field = this.simulator.field;
+
+        for (const unit of this.simulator.getUnitsOnField()) {
+            if (unit.status !== UNIT_STATUS.ROUTING) continue;
+
+            let awayX = unit.homeX;
+            let awayY = unit.homeY;
+            const threat = this.simulator.getNearestEnemy(unit);
+            if (threat) {
+                const distance = this.distance(unit, threat) || 1;
+                awayX += (unit.x - threat.x) / distance;
+                awayY += (unit.y - threat.y) / distance;
+            }
+
+            const length = Math.hypot(awayX, awayY) || 1;
+            const travel = this.simulator.getSpeed(unit) * MORALE.routSpeedFactor * this.simulator.timestep;
+            unit.x += (awayX / length) * travel;
+            unit.y += (awayY / length) * travel;
+            unit.facing = Math.atan2(awayY, awayX);
+
+            const offField = unit.x + unit.width / 2 < 0 || unit.x - unit.width / 2 > field.width ||
+                unit.y + unit.height / 2 < 0 || unit.y - unit.height / 2 > field.height;
+            if (offField) {
+                unit.status = UNIT_STATUS.FLED;
+                this.simulator.emitEvent(BATTLE_EVENT.FLED, unit);
+                this.simulator.characters.unitFled(unit);
+            }
+        }
+    }
+}
+
+export default MoraleSystem;
@@ -0,0 +1,65 @@
+/**
+ * Unit Orders
+ * The interface between whatever decides what a unit should do and the
+ * simulator that carries it out. A decision maker is any object with
+ *
+ *     decide(situation) => order
+ *
+ * where `situation` is the plain snapshot BattleSimulator.getSituation()
+ * builds for the acting unit. Orders are plain objects:
+ *
+ *     { type: 'advance', targetId }   march on an enemy unit and fight it
+ *     { type: 'hold' }                stand still, facing the nearest enemy
+ *     { type: 'wheel', targetId }     turn in place to face an enemy unit
+ *     { type: 'withdraw', fromId }    fall back away from an enemy (or toward
+ *                                     home without fromId), still facing it
+ *
+ * Any order may also carry `cry`, a line the unit's general shouts as it is
+ * given. The simulator logs it as a battle cry whenever it changes.
+ *
+ * decide() is called synchronously from step(); a slow decision maker should
+ * answer from its last result and refresh in the background.
+ */
+
+export const ORDER_TYPE = {
+    ADVANCE: 'advance',
+    HOLD: 'hold',
+    WHEEL: 'wheel',
+    WITHDRAW: 'withdraw'
+};
+
+export const HOLD_ORDER = Object.freeze({ type: ORDER_TYPE.HOLD });
+
+/**
+ * Check an order against the current battle. Orders that are malformed or
+ * point at units no longer on the field become a hold order.
+ */
+export function normalizeOrder(order, unit, simulator) {
+    if (!order || !Object.values(ORDER_TYPE).includes(order.type)) {
+        return HOLD_ORDER;
+    }
+
+    const isEnemyOnField = (unitId) => {
+        const other = simulator.getUnit(unitId);
+        return other !== null && other.armyIndex !== unit.armyIndex &&
+            simulator.getUnitsOnField().includes(other);
+    };
+
+    switch (order.type) {
+        case ORDER_TYPE.ADVANCE:
+        case ORDER_TYPE.WHEEL:
+            return isEnemyOnField(order.targetId) ? { type: order.type, targetId: order.targetId } : HOLD_ORDER;
+        case ORDER_TYPE.WITHDRAW:
+            return { type: order.type, fromId: isEnemyOnField(order.fromId) ? order.fromId : null };
+        default:
+            return HOLD_ORDER;
+    }
+}
+
+/**
+ * Whether two orders tell a unit to do the same thing. normalizeOrder()
+ * builds a fresh object for every order but hold, so compare fields.
+ */
+export function isSameOrder(a, b) {
+    return a.type === b.type && a.targetId === b.targetId && a.fromId === b.fromId;
+}
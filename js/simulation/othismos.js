@@ -0,0 +1,95 @@
+/**
+ * Othismos System
+ * The hoplite pushing match: when two phalanxes lock shields, the deeper and
+ * steadier side shoves the other back. Being pushed costs morale far faster
+ * than it costs men, so phalanx fights are decided by breaking, not killing.
+ * Light infantry and cavalry never enter othismos and fight as open melee.
+ */
+
+import { OTHISMOS, UNIT_STATUS } from '../constants/simulation.js';
+
+export class OthismosSystem {
+    constructor(simulator) {
+        this.simulator = simulator;
+    }
+
+    /**
+     * Whether two units fight as a pushing match rather than open melee
+     */
+    appliesTo(a, b) {
+        return a.type === 'hoplite' && b.type === 'hoplite';
+    }
+
+    /**
+     * Weight a phalanx can bring to bear: file depth, order and resolve
+     */
+    getPressure(unit) {
+        return unit.formation.depth * unit.cohesion * (0.5 + unit.morale / 200);
+    }
+
+    /**
+     * Find every locked hoplite pair and resolve one tick of pushing
+     */
+    resolve() {
+        const dt = this.simulator.timestep;
+        const pairs = [];
+        const seen = new Set();
+
+        for (const unit of this.simulator.getActiveUnits()) {
+            unit.othismosWith = null;
+        }
+
+        for (const unit of this.simulator.getActiveUnits()) {
+            if (!unit.engaged) continue;
+
+            const target = this.simulator.getUnit(unit.targetId);
+            if (!target || target.status !== UNIT_STATUS.ACTIVE || !this.appliesTo(unit, target)) continue;
+
+            const key = [unit.id, target.id].sort().join('|');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            pairs.push([unit, target]);
+        }
+
+        for (const [a, b] of pairs) {
+            a.othismosWith = b.id;
+            b.othismosWith = a.id;
+
+            const pressureA = this.getPressure(a);
+            const pressureB = this.getPressure(b);
+            const advantage = (pressureA - pressureB) / (pressureA + pressureB || 1);
+
+            if (Math.abs(advantage) < OTHISMOS.deadband) {
+                a.morale -= OTHISMOS.stalemateDrain * dt;
+                b.morale -= OTHISMOS.stalemateDrain * dt;
+                continue;
+            }
+
+            const [winner, loser] = advantage > 0 ? [a, b] : [b, a];
+            const strength = Math.abs(advantage);
+            this.push(winner, loser, OTHISMOS.pushRate * strength * dt);
+
+            loser.morale -= OTHISMOS.moraleDrain * strength * dt;
+            loser.cohesion -= OTHISMOS.cohesionDrain * strength * dt;
+        }
+    }
+
+    /**
+     * Shove the loser back along the line between the blocks; the winner follows
+     */
+    push(winner, loser, distance) {
+        const dx = loser.x - winner.x;
+        const dy = loser.y - winner.y;
+        const length = Math.hypot(dx, dy) || 1;
+
+        loser.x += (dx / length) * distance;
+        loser.y += (dy / length) * distance;
+        winner.x += (dx / length) * distance;
+        winner.y += (dy / length) * distance;
+
+        this.simulator.clampToField(loser);
+        this.simulator.clampToField(winner);
+    }
+}
+
+export default OthismosSystem;
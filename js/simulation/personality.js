@@ -0,0 +1,92 @@
+/**
+ * General Personality
+ * Turns a general's OnlyWorlds personality scores into the modifiers their
+ * unit fights with: courage sets how low morale can sink before the unit
+ * breaks, charisma how far the general's presence steadies and rallies
+ * units, and caution how shaken the unit may be before it stops advancing.
+ * Missing or non-numeric scores count as neutral. Compassion, creativity and
+ * curiosity are read but have no battle effect yet.
+ */
+
+import { PERSONALITY, MORALE, AI } from '../constants/simulation.js';
+
+// Modifiers of a unit without a (living) general
+export const BASE_MODIFIERS = Object.freeze({
+    routThreshold: MORALE.routThreshold,
+    commandRadius: MORALE.commandRadius,
+    holdMorale: AI.holdMorale
+});
+
+/**
+ * A personality score as a number from 0 to max, or null when unset
+ */
+export function readScore(value) {
+    const score = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof score !== 'number' || !Number.isFinite(score)) return null;
+    return Math.max(0, Math.min(PERSONALITY.max, score));
+}
+
+/**
+ * All six scores of a character record, null where unset
+ */
+export function readPersonality(character) {
+    const personality = {};
+    for (const field of PERSONALITY.fields) {
+        personality[field] = readScore(character?.[field]);
+    }
+    return personality;
+}
+
+/**
+ * How far a score leans from neutral, from -1 to 1
+ */
+function lean(score) {
+    if (score === null) return 0;
+    return (score - PERSONALITY.neutral) / (PERSONALITY.max - PERSONALITY.neutral);
+}
+
+/**
+ * Modifiers a general gives the unit they lead
+ * @returns {Object} { routThreshold, commandRadius, holdMorale }
+ */
+export function getPersonalityModifiers(character) {
+    if (!character) return BASE_MODIFIERS;
+
+    const personality = readPersonality(character);
+    return {
+        routThreshold: Math.round(MORALE.routThreshold - lean(personality.courage) * PERSONALITY.courage.range),
+        commandRadius: Math.round(MORALE.commandRadius + lean(personality.charisma) * PERSONALITY.charisma.range),
+        holdMorale: Math.round(AI.holdMorale + lean(personality.caution) * PERSONALITY.caution.range)
+    };
+}
+
+/**
+ * Readable lines for showing a general's modifiers before assignment
+ * @returns {Array<Object>} [{ field, score, label, effect }]
+ */
+export function describePersonalityModifiers(character) {
+    const personality = readPersonality(character);
+    const modifiers = getPersonalityModifiers(character);
+    const change = (value, base) => (value === base ? 'no change' : `${value > base ? '+' : ''}${value - base}`);
+
+    return [
+        {
+            field: 'courage',
+            score: personality.courage,
+            label: 'Morale floor',
+            effect: `breaks at morale ${modifiers.routThreshold} (${change(modifiers.routThreshold, BASE_MODIFIERS.routThreshold)})`
+        },
+        {
+            field: 'charisma',
+            score: personality.charisma,
+            label: 'Rally radius',
+            effect: `${modifiers.commandRadius} px (${change(modifiers.commandRadius, BASE_MODIFIERS.commandRadius)})`
+        },
+        {
+            field: 'caution',
+            score: personality.caution,
+            label: 'Willingness to charge',
+            effect: `holds back below morale ${modifiers.holdMorale} (${change(modifiers.holdMorale, BASE_MODIFIERS.holdMorale)})`
+        }
+    ];
+}
@@ -0,0 +1,62 @@
+/**
+ * Seeded Random Number Generator
+ * Deterministic mulberry32 generator so battles can be reproduced from a seed
+ */
+
+/**
+ * Hash any string or number into a 32-bit unsigned seed (FNV-1a)
+ */
+export function hashSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return value >>> 0;
+    }
+
+    const text = String(value ?? '');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export class SeededRandom {
+    constructor(seed) {
+        this.seed = hashSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [min, max]
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
+
+export default SeededRandom;
@@ -0,0 +1,247 @@
+/**
+ * Character Relations
+ * Finds the OnlyWorlds relations that bind characters assigned to the same
+ * battle and plays them out: the characters trade words before the first
+ * clash, a unit fights harder against the unit of its character's rival,
+ * and messengers between feuding generals on the same side are slow.
+ * Pairs are found before the battle (findRelationPairs) and kept in the
+ * battle configuration, so a replay meets the same relations.
+ */
+
+import SeededRandom from './random.js';
+import { RELATIONS, RELATION_KIND, RELATION_PAIR } from '../constants/simulation.js';
+import { BATTLE_EVENT } from './events.js';
+
+// Opening line and reply for each kind of pair; {a} speaks first to {b}
+const DIALOGUE = {
+    [RELATION_PAIR.RIVALS]: [
+        ['{b}! I have waited years for this day.', 'Then you have waited years to lose, {a}.'],
+        ['Find me in the press, {b}, and we settle this.', 'I will be the one looking for you, {a}.']
+    ],
+    [RELATION_PAIR.FORMER_FRIENDS]: [
+        ['{b}... I never thought to see you across a field.', 'Nor I you, {a}. It changes nothing.'],
+        ['We shared bread once, {b}.', 'Today we share nothing, {a}.']
+    ],
+    [RELATION_PAIR.DIVIDED_KIN]: [
+        ['Go home, {b}. This is no fight for our blood.', 'Our blood chose differently, {a}.']
+    ],
+    [RELATION_PAIR.FEUD]: [
+        ['Keep your men out of my way, {b}.', 'Keep to your own orders, {a}, and I will keep to mine.'],
+        ['Do not expect me to wait on your messengers, {b}.', 'I expect nothing of you, {a}.']
+    ],
+    [RELATION_PAIR.COMRADES]: [
+        ['Stand with me, {b}, as before.', 'As always, {a}.']
+    ]
+};
+
+const PAIR_TYPES = {
+    opposing: {
+        [RELATION_KIND.RIVAL]: RELATION_PAIR.RIVALS,
+        [RELATION_KIND.FRIEND]: RELATION_PAIR.FORMER_FRIENDS,
+        [RELATION_KIND.KIN]: RELATION_PAIR.DIVIDED_KIN
+    },
+    same: {
+        [RELATION_KIND.RIVAL]: RELATION_PAIR.FEUD,
+        [RELATION_KIND.FRIEND]: RELATION_PAIR.COMRADES,
+        [RELATION_KIND.KIN]: RELATION_PAIR.COMRADES
+    }
+};
+
+/**
+ * Kind of a relation element from its supertype, subtype and name, or null
+ * when it names none we know
+ */
+export function classifyRelation(relation) {
+    const text = [relation?.supertype, relation?.subtype, relation?.name]
+        .filter(value => typeof value === 'string')
+        .join(' ')
+        .toLowerCase();
+
+    for (const [kind, keywords] of Object.entries(RELATIONS.keywords)) {
+        if (keywords.some(keyword => new RegExp(`\\b${keyword}`).test(text))) {
+            return kind;
+        }
+    }
+    return null;
+}
+
+/**
+ * IDs of the characters a relation links, from its party fields whether
+ * they arrive as IDs, `_id(s)` fields or full elements
+ */
+export function getRelationParties(relation) {
+    const ids = new Set();
+    const add = (value) => {
+        const id = typeof value === 'string' ? value : value?.id;
+        if (id) ids.add(id);
+    };
+
+    for (const field of RELATIONS.partyFields) {
+        for (const key of [field, `${field}_id`, `${field}_ids`]) {
+            const value = relation?.[key];
+            if (Array.isArray(value)) {
+                value.forEach(add);
+            } else if (value) {
+                add(value);
+            }
+        }
+    }
+    return [...ids];
+}
+
+/**
+ * Pairs of assigned characters bound by a relation
+ * @param {Array} armies - Armies from the battle configuration
+ * @param {Array} relations - OnlyWorlds relation elements
+ * @returns {Array<Object>} [{ type, kind, relationId, relationName, characters: [{ id, name, role, armyIndex, unitId }, ...] }]
+ */
+export function findRelationPairs(armies, relations) {
+    const assigned = new Map();
+    armies.forEach((army, armyIndex) => {
+        for (const unit of army.units || []) {
+            const characters = [
+                ...(unit.general ? [{ ...unit.general, role: 'general' }] : []),
+                ...(unit.soldiers || []).map(soldier => ({ ...soldier, role: 'soldier' }))
+            ];
+            for (const character of characters) {
+                const { id, name, role } = character;
+                assigned.set(id, { id, name, role, armyIndex, unitId: unit.id });
+            }
+        }
+    });
+
+    const pairs = [];
+    const seen = new Set();
+    for (const relation of relations || []) {
+        const kind = classifyRelation(relation);
+        if (!kind) continue;
+
+        const parties = getRelationParties(relation).filter(id => assigned.has(id));
+        for (let i = 0; i < parties.length; i++) {
+            for (let j = i + 1; j < parties.length; j++) {
+                const [a, b] = [assigned.get(parties[i]), assigned.get(parties[j])];
+                if (a.unitId === b.unitId) continue;
+
+                const key = `${[a.id, b.id].sort().join('|')}|${kind}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                const side = a.armyIndex === b.armyIndex ? 'same' : 'opposing';
+                pairs.push({
+                    type: PAIR_TYPES[side][kind],
+                    kind: kind,
+                    relationId: relation.id,
+                    relationName: relation.name || '',
+                    characters: [a, b]
+                });
+            }
+        }
+    }
+    return pairs;
+}
+
+export class RelationSystem {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.random = new SeededRandom(`${simulator.seed}:relations`);
+        this.pairs = [];     // Pairs whose characters both took the field, with their simulation units
+    }
+
+    /**
+     * Place the configured pairs on the field and let them speak. Runs once
+     * the units and their characters are set up.
+     */
+    init() {
+        const simulator = this.simulator;
+        const findUnit = (id) => simulator.units.find(unit =>
+            unit.characters.some(character => character.id === id)
+        ) || null;
+
+        for (const pair of simulator.config.relations || []) {
+            const units = pair.characters.map(character => findUnit(character.id));
+            if (units.some(unit => !unit)) continue;
+
+            const entry = { ...pair, units };
+            this.pairs.push(entry);
+            this.speak(entry);
+        }
+    }
+
+    /**
+     * Emit the pre-battle exchange between the two characters of a pair
+     */
+    speak(pair) {
+        const options = DIALOGUE[pair.type];
+        const lines = options[this.random.int(0, options.length - 1)];
+        const [a, b] = pair.characters;
+        const fill = (line) => line.replace('{a}', a.name).replace('{b}', b.name);
+
+        lines.forEach((line, index) => {
+            const speaker = index === 0 ? a : b;
+            const listener = index === 0 ? b : a;
+            this.simulator.emitEvent(BATTLE_EVENT.DIALOGUE, pair.units[index], {
+                characters: [speaker, listener].map(({ id, name, role }) => ({ id, name, role })),
+                relation: pair.type,
+                line: fill(line)
+            });
+        });
+    }
+
+    /**
+     * Whether a character of a pair is still with their unit and fighting
+     */
+    isPresent(pair, index) {
+        const character = pair.units[index].characters.find(candidate => candidate.id === pair.characters[index].id);
+        return Boolean(character) && this.simulator.characters.isFighting(character);
+    }
+
+    /**
+     * A pair of the given type linking a character of `unit` to one of
+     * `other`, both still fighting, or null
+     */
+    findPair(type, unit, other) {
+        for (const pair of this.pairs) {
+            if (pair.type !== type) continue;
+
+            for (const [own, their] of [[0, 1], [1, 0]]) {
+                if (pair.units[own] === unit && pair.units[their] === other &&
+                    this.isPresent(pair, own) && this.isPresent(pair, their)) {
+                    return pair;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether the other unit carries a rival of one of this unit's characters
+     */
+    isRival(unit, other) {
+        return this.findPair(RELATION_PAIR.RIVALS, unit, other) !== null;
+    }
+
+    /**
+     * Extra share of casualties a unit inflicts on a rival's unit
+     */
+    getAggression(attacker, defender) {
+        return this.isRival(attacker, defender) ? RELATIONS.rivalAggression : 0;
+    }
+
+    /**
+     * How many times as long messengers take between two generals' units
+     */
+    getDelayFactor(from, to) {
+        const pair = this.findPair(RELATION_PAIR.FEUD, from, to);
+        const generals = pair && pair.characters.every(character => character.role === 'general');
+        return generals ? RELATIONS.feudDelay : 1;
+    }
+
+    /**
+     * Pairs that met on the field, for battle results
+     */
+    getPairs() {
+        return this.pairs.map(({ units, ...pair }) => pair);
+    }
+}
+
+export default RelationSystem;
@@ -0,0 +1,235 @@
+/**
+ * Battle Replays
+ * A replay is the battle config, the seed and the stream of orders the units
+ * were given. The simulator is deterministic, so feeding the same orders back
+ * reproduces the battle tick for tick, whatever made the decisions the first
+ * time. ReplayTimeline re-runs a replay once and keeps a compact frame per
+ * tick, plus the battle events, so playback can jump to any moment.
+ */
+
+import { REPLAY, UNIT_STATUS } from '../constants/simulation.js';
+import { HOLD_ORDER } from './orders.js';
+import BattleSimulator from './battle-simulator.js';
+
+const STATUSES = [UNIT_STATUS.ACTIVE, UNIT_STATUS.ROUTING, UNIT_STATUS.FLED, UNIT_STATUS.DESTROYED];
+const ASPECTS = [null, 'flank', 'rear'];
+
+// Values stored per unit per frame, in this order
+const FRAME_FIELDS = [
+    'x', 'y', 'width', 'height', 'facing', 'soldierCount', 'morale', 'cohesion', 'ammo',
+    'status', 'engaged', 'attackedFrom', 'isCommander', 'firingAt', 'othismosWith'
+];
+
+/**
+ * Decision maker wrapper that records every change of order
+ */
+export class ReplayRecorder {
+    constructor(decisionMaker) {
+        this.decisionMaker = decisionMaker;
+        this.orders = [];             // [tick, unitId, order]
+        this.lastOrders = new Map();  // Unit ID -> last recorded order as JSON
+    }
+
+    decide(situation) {
+        const order = this.decisionMaker.decide(situation) ?? null;
+        const key = JSON.stringify(order);
+
+        if (this.lastOrders.get(situation.unit.id) !== key) {
+            this.orders.push([situation.tick, situation.unit.id, order]);
+            this.lastOrders.set(situation.unit.id, key);
+        }
+        return order;
+    }
+
+    /**
+     * Package the recording with everything needed to re-run the battle
+     */
+    createReplay(simulator) {
+        const { result, ...config } = simulator.config;
+
+        return {
+            format: REPLAY.format,
+            version: REPLAY.version,
+            battleId: config.id,
+            name: config.name,
+            seed: simulator.seed,
+            timestep: simulator.timestep,
+            maxDuration: simulator.maxTicks * simulator.timestep,
+            field: { ...simulator.field },
+            config: JSON.parse(JSON.stringify(config)),
+            orders: this.orders,
+            outcome: {
+                winner: simulator.winner,
+                condition: simulator.victoryCondition,
+                ticks: simulator.tick
+            },
+            recorded_at: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Decision maker that gives back recorded orders instead of deciding
+ */
+export class ReplayDecisionMaker {
+    constructor(orders) {
+        this.orders = new Map();   // Unit ID -> [[tick, order], ...] in tick order
+        this.positions = new Map();
+
+        for (const [tick, unitId, order] of orders) {
+            if (!this.orders.has(unitId)) this.orders.set(unitId, []);
+            this.orders.get(unitId).push([tick, order]);
+        }
+    }
+
+    decide(situation) {
+        const history = this.orders.get(situation.unit.id);
+        if (!history) return HOLD_ORDER;
+
+        let position = this.positions.get(situation.unit.id) ?? -1;
+        while (position + 1 < history.length && history[position + 1][0] <= situation.tick) {
+            position++;
+        }
+        this.positions.set(situation.unit.id, position);
+
+        return position >= 0 ? history[position][1] : HOLD_ORDER;
+    }
+}
+
+/**
+ * Check that parsed JSON is a replay this version can play
+ */
+export function validateReplay(replay) {
+    if (!replay || replay.format !== REPLAY.format) {
+        throw new Error('Not a battle replay file');
+    }
+    if (replay.version !== REPLAY.version) {
+        throw new Error(`Unsupported replay version: ${replay.version}`);
+    }
+    if (!replay.config || !Array.isArray(replay.orders)) {
+        throw new Error('Replay file is incomplete');
+    }
+    return replay;
+}
+
+/**
+ * Every tick of a replayed battle, plus the moments worth jumping to
+ */
+export class ReplayTimeline {
+    constructor(replay) {
+        this.replay = validateReplay(replay);
+        this.simulator = new BattleSimulator(replay.config, {
+            seed: replay.seed,
+            timestep: replay.timestep,
+            maxDuration: replay.maxDuration,
+            field: replay.field,
+            ai: new ReplayDecisionMaker(replay.orders)
+        });
+
+        this.timestep = this.simulator.timestep;
+        this.field = { ...this.simulator.field };
+        this.terrain = this.simulator.terrain.getRegions();
+        this.units = this.simulator.units.map(unit => ({
+            id: unit.id,
+            name: unit.name,
+            type: unit.type,
+            armyIndex: unit.armyIndex,
+            initialSoldierCount: unit.initialSoldierCount
+        }));
+        this.unitIndex = new Map(this.units.map((unit, index) => [unit.id, index]));
+
+        this.frames = [];
+        this.objectives = [];
+        this.events = [];          // Battle events from the event bus, in tick order
+        this.build();
+    }
+
+    get lastTick() {
+        return this.frames.length - 1;
+    }
+
+    /**
+     * Run the battle to the end, keeping a frame per tick
+     */
+    build() {
+        const simulator = this.simulator;
+        this.capture(simulator.getState());
+
+        while (!simulator.finished) {
+            simulator.step();
+            this.capture(simulator.getState());
+        }
+
+        this.result = simulator.getResult();
+        this.events = simulator.events.history;
+    }
+
+    capture(state) {
+        const frame = new Float32Array(this.units.length * FRAME_FIELDS.length);
+
+        state.units.forEach((unit, index) => {
+            const values = {
+                ...unit,
+                status: STATUSES.indexOf(unit.status),
+                engaged: unit.engaged ? 1 : 0,
+                attackedFrom: ASPECTS.indexOf(unit.attackedFrom),
+                isCommander: unit.isCommander ? 1 : 0,
+                firingAt: unit.firingAt ? this.unitIndex.get(unit.firingAt) : -1,
+                othismosWith: unit.othismosWith ? this.unitIndex.get(unit.othismosWith) : -1
+            };
+            FRAME_FIELDS.forEach((field, offset) => {
+                frame[index * FRAME_FIELDS.length + offset] = values[field];
+            });
+        });
+
+        this.frames.push(frame);
+        this.objectives.push(state.objective ? { holder: state.objective.holder, heldFor: state.objective.heldFor } : null);
+    }
+
+    /**
+     * Rebuild a renderer-ready state for a tick
+     */
+    getState(tick) {
+        tick = Math.max(0, Math.min(this.lastTick, Math.round(tick)));
+        const frame = this.frames[tick];
+        const template = this.simulator.victory.getObjectiveState();
+        const objective = this.objectives[tick];
+        const isLast = tick === this.lastTick;
+
+        return {
+            tick: tick,
+            time: tick * this.timestep,
+            finished: isLast,
+            winner: isLast ? this.result.winner : null,
+            field: { ...this.field },
+            objective: template && objective ? { ...template, ...objective } : null,
+            terrain: this.terrain,
+            units: this.units.map((unit, index) => {
+                const read = (field) => frame[index * FRAME_FIELDS.length + FRAME_FIELDS.indexOf(field)];
+                const firingAt = read('firingAt');
+                const othismosWith = read('othismosWith');
+
+                return {
+                    ...unit,
+                    x: read('x'),
+                    y: read('y'),
+                    width: read('width'),
+                    height: read('height'),
+                    facing: read('facing'),
+                    soldierCount: read('soldierCount'),
+                    morale: read('morale'),
+                    cohesion: read('cohesion'),
+                    ammo: read('ammo'),
+                    status: STATUSES[read('status')],
+                    engaged: read('engaged') === 1,
+                    attackedFrom: ASPECTS[read('attackedFrom')],
+                    isCommander: read('isCommander') === 1,
+                    firingAt: firingAt >= 0 ? this.units[firingAt].id : null,
+                    othismosWith: othismosWith >= 0 ? this.units[othismosWith].id : null
+                };
+            })
+        };
+    }
+}
+
+export default ReplayTimeline;
@@ -0,0 +1,216 @@
+/**
+ * Terrain System
+ * The battlefield's terrain regions and what they do to the units standing
+ * in them: slower marching, looser ranks, weaker or stronger blows, and the
+ * advantage of striking downhill. Regions are kept in the battle
+ * configuration as polygons whose points are shares (0-1) of the field's
+ * width and height, like the objective, so they fit whatever size the field
+ * ends up:
+ *
+ *     terrain: { seed, regions: [{ id, type, name, points: [[x, y], ...] }] }
+ *
+ * Where regions overlap the later one wins, so a ford laid over a river
+ * makes a crossing. `seed` is set while the map is still the random one
+ * generateTerrain() made from it; `name` is optional, for regions taken
+ * from the world (see battle-sites.js).
+ */
+
+import { TERRAIN_TYPES, TERRAIN, TERRAIN_GENERATOR } from '../constants/terrain.js';
+import { UNIT_STATUS } from '../constants/simulation.js';
+import SeededRandom, { hashSeed } from './random.js';
+
+/**
+ * Whether a point lies inside a polygon of [x, y] points
+ */
+export function pointInPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Terrain with only the regions that can be used: a known type and at
+ * least three points, clamped to the field
+ */
+export function normalizeTerrain(terrain) {
+    const regions = (terrain?.regions || [])
+        .filter(region => TERRAIN_TYPES[region?.type] && Array.isArray(region.points))
+        .map((region, index) => ({
+            id: region.id || `terrain-${index + 1}`,
+            type: region.type,
+            ...(region.name ? { name: String(region.name) } : {}),
+            points: region.points
+                .filter(point => Array.isArray(point) && point.every(Number.isFinite))
+                .map(([x, y]) => [Math.max(0, Math.min(1, x)), Math.max(0, Math.min(1, y))])
+        }))
+        .filter(region => region.points.length >= 3);
+
+    return { ...terrain, regions };
+}
+
+/**
+ * Regions with their points scaled to a field in pixels
+ */
+export function toFieldRegions(terrain, field) {
+    return normalizeTerrain(terrain).regions.map(region => ({
+        ...region,
+        points: region.points.map(([x, y]) => [x * field.width, y * field.height])
+    }));
+}
+
+const round = (value) => Math.round(Math.max(0, Math.min(1, value)) * 1000) / 1000;
+
+/**
+ * Irregular outline around a centre, for hills, woods and the like
+ */
+function createOutline(random, x, y) {
+    const { size, outlinePoints } = TERRAIN_GENERATOR;
+    const radiusX = random.range(size.min, size.max);
+    const radiusY = radiusX * random.range(0.6, 1.2);
+
+    const points = [];
+    for (let i = 0; i < outlinePoints; i++) {
+        const angle = i / outlinePoints * Math.PI * 2;
+        const stretch = random.range(0.75, 1.25);
+        points.push([round(x + Math.cos(angle) * radiusX * stretch), round(y + Math.sin(angle) * radiusY * stretch)]);
+    }
+    return points;
+}
+
+/**
+ * A random map from a seed; the same seed always gives the same map.
+ * Features sit in the middle band of the field, away from where the armies
+ * deploy; a river, when there is one, winds across between them over
+ * everything else, with fords laid over it.
+ */
+export function generateTerrain(seed) {
+    const random = new SeededRandom(hashSeed(`${seed}:terrain`));
+    const { features, band, riverWidth, fordWidth } = TERRAIN_GENERATOR;
+    const regions = [];
+    const add = (type, points) => regions.push({ id: `terrain-${regions.length + 1}`, type, points });
+
+    for (const [type, [min, max]] of Object.entries(features)) {
+        const count = random.int(min, max);
+        for (let i = 0; i < count; i++) {
+            add(type, createOutline(random, random.range(0.1, 0.9), random.range(band[0], band[1])));
+        }
+    }
+
+    if (random.chance(TERRAIN_GENERATOR.riverChance)) {
+        const steps = 6;
+        const course = [];
+        let y = random.range(0.4, 0.6);
+        for (let i = 0; i <= steps; i++) {
+            course.push([i / steps, y]);
+            y = Math.max(band[0], Math.min(band[1], y + random.range(-0.06, 0.06)));
+        }
+        add('river', [
+            ...course.map(([x, y]) => [round(x), round(y - riverWidth / 2)]),
+            ...[...course].reverse().map(([x, y]) => [round(x), round(y + riverWidth / 2)])
+        ]);
+
+        const fords = random.int(TERRAIN_GENERATOR.fords[0], TERRAIN_GENERATOR.fords[1]);
+        for (let i = 0; i < fords; i++) {
+            const x = (i + random.range(0.25, 0.75)) / fords;
+            const centreY = course[Math.round(x * steps)][1];
+            add('ford', [
+                [round(x - fordWidth / 2), round(centreY - riverWidth)],
+                [round(x + fordWidth / 2), round(centreY - riverWidth)],
+                [round(x + fordWidth / 2), round(centreY + riverWidth)],
+                [round(x - fordWidth / 2), round(centreY + riverWidth)]
+            ]);
+        }
+    }
+
+    return { seed: String(seed), regions };
+}
+
+export class TerrainSystem {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.regions = [];
+    }
+
+    /**
+     * Lay the configured regions over the field and find where each unit
+     * starts
+     */
+    init() {
+        this.regions = toFieldRegions(this.simulator.config.terrain, this.simulator.field);
+        this.update();
+    }
+
+    /**
+     * Note the ground each unit on the field stands on; called once units
+     * have moved each tick
+     */
+    update() {
+        for (const unit of this.simulator.getUnitsOnField()) {
+            unit.terrain = this.getTerrainAt(unit.x, unit.y);
+        }
+    }
+
+    /**
+     * Terrain type at a point of the field, or null for open ground
+     */
+    getTerrainAt(x, y) {
+        for (let i = this.regions.length - 1; i >= 0; i--) {
+            if (pointInPolygon(x, y, this.regions[i].points)) {
+                return this.regions[i].type;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * One of a terrain type's modifiers for the unit standing in it
+     */
+    getModifier(unit, modifier) {
+        return TERRAIN_TYPES[unit.terrain]?.[modifier]?.[unit.type] ?? 1;
+    }
+
+    isElevated(unit) {
+        return TERRAIN_TYPES[unit.terrain]?.elevated === true;
+    }
+
+    getSpeedFactor(unit) {
+        return this.getModifier(unit, 'speed');
+    }
+
+    /**
+     * Highest cohesion the ground lets the unit keep. Routing units are
+     * past caring.
+     */
+    getCohesionCap(unit) {
+        return unit.status === UNIT_STATUS.ACTIVE ? this.getModifier(unit, 'cohesion') : 1;
+    }
+
+    /**
+     * Casualty multiplier from the ground under attacker and defender, with
+     * the downhill advantage or uphill penalty between them
+     */
+    getCombatFactor(attacker, defender) {
+        let factor = this.getModifier(attacker, 'attack') / this.getModifier(defender, 'defense');
+
+        const attackerHigh = this.isElevated(attacker);
+        if (attackerHigh !== this.isElevated(defender)) {
+            factor *= attackerHigh ? (TERRAIN.downhill[attacker.type] ?? 1) : TERRAIN.uphill;
+        }
+        return factor;
+    }
+
+    /**
+     * Regions in field pixels, for renderers
+     */
+    getRegions() {
+        return this.regions;
+    }
+}
+
+export default TerrainSystem;
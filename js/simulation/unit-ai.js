@@ -0,0 +1,87 @@
+/**
+ * Rule-Based Unit AI
+ * Decides each unit's order from its type, the threats around it and the
+ * intent its general has passed down, with no LLM involved. It reads only
+ * the situation snapshot, so the same input can be handed to any other
+ * decision maker (see orders.js). Rules are pure functions of the
+ * situation, which keeps battles reproducible from the seed.
+ */
+
+import { AI, MISSILES, RELATIONS, UNIT_STATUS } from '../constants/simulation.js';
+import { ATTACK_ASPECT } from './facing.js';
+import { ORDER_TYPE } from './orders.js';
+import { INTENT_TYPE } from './command.js';
+
+export class RuleBasedAI {
+    /**
+     * Pick an order for the unit described by the situation
+     */
+    decide(situation) {
+        const { unit } = situation;
+        const enemies = situation.enemies.filter(enemy => enemy.status === UNIT_STATUS.ACTIVE);
+        const candidates = enemies.length > 0 ? enemies : situation.enemies;   // Pursue routers once none stand
+        if (candidates.length === 0) {
+            return { type: ORDER_TYPE.HOLD };
+        }
+
+        // Skirmishers with missiles left fall back from heavy troops closing in
+        if (unit.skirmisher) {
+            const threat = this.nearest(enemies.filter(enemy =>
+                MISSILES.evadeTypes.includes(enemy.type) && enemy.gap <= MISSILES.evadeDistance
+            ));
+            if (threat) {
+                return { type: ORDER_TYPE.WITHDRAW, fromId: threat.id };
+            }
+        }
+
+        // Shaken units stop advancing; a cautious general holds back sooner
+        if (unit.morale < unit.modifiers.holdMorale) {
+            return { type: ORDER_TYPE.HOLD };
+        }
+
+        // Melee troops closing in must be met before anything else
+        const closeThreat = this.nearest(enemies.filter(enemy =>
+            !enemy.skirmisher && enemy.gap <= AI.wheelRadius
+        ));
+        // A wing told to hold waits for the enemy to come on. Skirmishers
+        // still screen ahead of the line.
+        if (!closeThreat && !unit.skirmisher && situation.intent?.type === INTENT_TYPE.HOLD) {
+            return { type: ORDER_TYPE.HOLD };
+        }
+
+        const target = closeThreat || this.pickTarget(candidates);
+
+        // Wheel to face the target before marching on it
+        if (target.threatAspect !== ATTACK_ASPECT.FRONT) {
+            return { type: ORDER_TYPE.WHEEL, targetId: target.id };
+        }
+        return { type: ORDER_TYPE.ADVANCE, targetId: target.id };
+    }
+
+    /**
+     * Best enemy to attack: close, and one this unit's type does well against
+     * from where it stands, or one that carries a rival of this unit's
+     * characters. Ties go to the earlier unit for determinism.
+     */
+    pickTarget(enemies) {
+        let best = null;
+        let bestScore = Infinity;
+
+        for (const enemy of enemies) {
+            const preference = enemy.rival ? RELATIONS.rivalPreference : 1;
+            const score = Math.max(enemy.gap, 1) / (enemy.matchup * preference);
+            if (score < bestScore) {
+                best = enemy;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    nearest(enemies) {
+        return enemies.reduce((best, enemy) => (!best || enemy.gap < best.gap ? enemy : best), null);
+    }
+}
+
+export default RuleBasedAI;
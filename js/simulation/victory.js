@@ -0,0 +1,150 @@
+/**
+ * Victory System
+ * Checks the battle's victory conditions each tick: annihilation (no fighting
+ * units left), a share of the army routed, the commander killed, or holding
+ * a marked objective long enough. Conditions come from config.victory, with
+ * anything missing taken from DEFAULT_VICTORY.
+ */
+
+import { DEFAULT_VICTORY, VICTORY_CONDITION, UNIT_STATUS } from '../constants/simulation.js';
+
+/**
+ * Merge saved victory settings over the defaults
+ */
+export function resolveVictoryConditions(victory = {}) {
+    return {
+        rout: { ...DEFAULT_VICTORY.rout, ...(victory.rout || {}) },
+        commander: { ...DEFAULT_VICTORY.commander, ...(victory.commander || {}) },
+        objective: { ...DEFAULT_VICTORY.objective, ...(victory.objective || {}) }
+    };
+}
+
+export class VictorySystem {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.conditions = resolveVictoryConditions(simulator.config.victory);
+        this.objective = null;
+        this.commanderIds = [];
+    }
+
+    /**
+     * Remember each army's starting commander and place the objective.
+     * Called once the units and field exist.
+     */
+    init() {
+        const simulator = this.simulator;
+
+        this.commanderIds = simulator.config.armies.map((army, armyIndex) => {
+            const generals = simulator.command.getGenerals(armyIndex);
+            return generals.length > 0 ? generals[0].id : null;
+        });
+
+        const objective = this.conditions.objective;
+        if (objective.enabled) {
+            this.objective = {
+                x: objective.x * simulator.field.width,
+                y: objective.y * simulator.field.height,
+                radius: objective.radius,
+                holder: null,      // Army currently holding it alone
+                heldFor: 0         // Seconds held so far
+            };
+        }
+    }
+
+    /**
+     * Work out whether the battle is decided
+     * @returns {Object|null} { winner, condition } or null while it goes on
+     */
+    check() {
+        const simulator = this.simulator;
+        const armies = simulator.config.armies.map((army, armyIndex) => armyIndex);
+
+        // Annihilation: armies with nothing left to fight with
+        const standing = armies.filter(armyIndex => simulator.getActiveUnits(armyIndex).length > 0);
+        if (standing.length <= 1) {
+            return { winner: standing.length === 1 ? standing[0] : null, condition: VICTORY_CONDITION.ANNIHILATION };
+        }
+
+        const losers = new Map();
+        if (this.conditions.rout.enabled) {
+            armies.filter(armyIndex => this.getBrokenShare(armyIndex) * 100 >= this.conditions.rout.percentage)
+                .forEach(armyIndex => losers.set(armyIndex, VICTORY_CONDITION.ROUT));
+        }
+        if (this.conditions.commander.enabled) {
+            armies.filter(armyIndex => !losers.has(armyIndex) && this.isCommanderKilled(armyIndex))
+                .forEach(armyIndex => losers.set(armyIndex, VICTORY_CONDITION.COMMANDER));
+        }
+
+        if (losers.size > 0) {
+            const survivors = armies.filter(armyIndex => !losers.has(armyIndex));
+            return {
+                winner: survivors.length === 1 ? survivors[0] : null,
+                condition: losers.values().next().value
+            };
+        }
+
+        if (this.objective) {
+            this.updateObjective();
+            if (this.objective.heldFor >= this.conditions.objective.holdSeconds) {
+                return { winner: this.objective.holder, condition: VICTORY_CONDITION.OBJECTIVE };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Share of an army's soldiers that are routing, fled or dead
+     */
+    getBrokenShare(armyIndex) {
+        const units = this.simulator.units.filter(unit => unit.armyIndex === armyIndex);
+        const initial = units.reduce((total, unit) => total + unit.initialSoldierCount, 0);
+        if (initial === 0) return 1;
+
+        const broken = units.reduce((total, unit) => {
+            const dead = unit.initialSoldierCount - unit.soldierCount;
+            return total + (unit.status === UNIT_STATUS.ACTIVE ? dead : unit.initialSoldierCount);
+        }, 0);
+        return broken / initial;
+    }
+
+    /**
+     * Whether the army's starting commander has been killed or captured
+     */
+    isCommanderKilled(armyIndex) {
+        const commander = this.simulator.getUnit(this.commanderIds[armyIndex]);
+        return commander !== null && this.simulator.characters.isGeneralLost(commander);
+    }
+
+    /**
+     * Advance the objective clock: one army with fighting units inside the
+     * circle and no enemy there holds it; any contest or change resets the count
+     */
+    updateObjective() {
+        const objective = this.objective;
+        const present = new Set(this.simulator.getActiveUnits()
+            .filter(unit => Math.hypot(unit.x - objective.x, unit.y - objective.y) <= objective.radius + Math.min(unit.width, unit.height) / 2)
+            .map(unit => unit.armyIndex));
+
+        const holder = present.size === 1 ? present.values().next().value : null;
+        if (holder !== objective.holder) {
+            objective.holder = holder;
+            objective.heldFor = 0;
+        } else if (holder !== null) {
+            objective.heldFor += this.simulator.timestep;
+        }
+    }
+
+    /**
+     * Plain objective state for renderers, or null when there is none
+     */
+    getObjectiveState() {
+        if (!this.objective) return null;
+        return {
+            ...this.objective,
+            holdSeconds: this.conditions.objective.holdSeconds
+        };
+    }
+}
+
+export default VictorySystem;
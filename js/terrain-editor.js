@@ -0,0 +1,409 @@
+/**
+ * Terrain Editor Module
+ * Lets the battle organizer paint the battlefield before the armies deploy:
+ * pick a terrain type from the palette and click out its outline, or select
+ * a region to drag it, or one of its corners, about. Edits can be undone,
+ * and a random map can be rolled from a seed. Works on the terrain format
+ * the simulator reads (see simulation/terrain.js).
+ */
+
+import { normalizeTerrain, generateTerrain } from './simulation/terrain.js';
+import { createTerrainSVG, createTerrainPolygon, createTerrainLabel } from './terrain-layer.js';
+
+// Tool that selects and drags regions; any other tool is a terrain type to draw
+export const SELECT_TOOL = 'select';
+
+const CLOSE_DISTANCE = 10;       // Pixels from the first corner at which a click closes an outline
+const MIN_CORNER_GAP = 0.005;    // Corners closer than this share of the field are merged
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export class TerrainEditor {
+    /**
+     * @param {HTMLElement} surface - Element the field is drawn in; positioned, sized by the page
+     * @param {Object} options - Optional { onChange(terrain) after every edit }
+     */
+    constructor(surface, options = {}) {
+        this.surface = surface;
+        this.onChange = options.onChange || null;
+        this.seed = null;
+        this.regions = [];
+        this.tool = SELECT_TOOL;
+        this.selectedId = null;
+        this.draft = [];             // Corners of the outline being drawn
+        this.dragState = null;
+
+        // Undo/Redo system
+        this.history = [];
+        this.historyIndex = -1;
+        this.maxHistorySize = 50;
+
+        this.initEventListeners();
+        this.initKeyboardListeners();
+    }
+
+    /**
+     * Start editing a terrain, with a fresh undo history
+     */
+    setTerrain(terrain) {
+        const { seed, regions } = normalizeTerrain(terrain);
+        this.seed = seed ?? null;
+        this.regions = regions;
+        this.selectedId = null;
+        this.draft = [];
+        this.history = [];
+        this.historyIndex = -1;
+        this.saveHistory();
+        this.render();
+    }
+
+    /**
+     * The terrain as edited, ready for the battle configuration
+     */
+    getTerrain() {
+        return {
+            ...(this.seed !== null ? { seed: this.seed } : {}),
+            regions: JSON.parse(JSON.stringify(this.regions))
+        };
+    }
+
+    /**
+     * Replace the map with a random one from a seed
+     */
+    generate(seed) {
+        const terrain = generateTerrain(seed);
+        this.seed = terrain.seed;
+        this.regions = terrain.regions;
+        this.selectedId = null;
+        this.draft = [];
+        this.commit();
+    }
+
+    /**
+     * Select regions with SELECT_TOOL, or draw one of a terrain type
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.draft = [];
+        if (tool !== SELECT_TOOL) {
+            this.selectedId = null;
+        }
+        this.surface.classList.toggle('drawing', tool !== SELECT_TOOL);
+        this.render();
+    }
+
+    selectRegion(regionId) {
+        this.selectedId = regionId;
+        this.render();
+    }
+
+    removeSelected() {
+        if (!this.selectedId) return;
+        this.regions = this.regions.filter(region => region.id !== this.selectedId);
+        this.selectedId = null;
+        this.markEdited();
+    }
+
+    clear() {
+        if (this.regions.length === 0) return;
+        this.regions = [];
+        this.selectedId = null;
+        this.markEdited();
+    }
+
+    /**
+     * Record an edit: a hand-edited map is no longer the seed's
+     */
+    markEdited() {
+        this.seed = null;
+        this.commit();
+    }
+
+    commit() {
+        this.saveHistory();
+        this.render();
+        if (this.onChange) {
+            this.onChange(this.getTerrain());
+        }
+    }
+
+    createRegionId() {
+        const ids = new Set(this.regions.map(region => region.id));
+        let index = this.regions.length + 1;
+        while (ids.has(`terrain-${index}`)) index++;
+        return `terrain-${index}`;
+    }
+
+    /**
+     * Mouse position as [x, y] shares of the field
+     */
+    toFieldShare(e) {
+        const rect = this.surface.getBoundingClientRect();
+        const share = (value) => Math.round(Math.max(0, Math.min(1, value)) * 1000) / 1000;
+        return [share((e.clientX - rect.left) / rect.width), share((e.clientY - rect.top) / rect.height)];
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    initEventListeners() {
+        this.surface.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            const point = this.toFieldShare(e);
+
+            if (this.tool !== SELECT_TOOL) {
+                this.addDraftCorner(point, e);
+                return;
+            }
+
+            const handle = e.target.closest('.terrain-handle');
+            const polygon = e.target.closest('polygon[data-region-id]');
+            if (handle) {
+                this.startDrag(point, this.selectedId, parseInt(handle.dataset.index));
+            } else if (polygon) {
+                this.selectRegion(polygon.dataset.regionId);
+                this.startDrag(point, polygon.dataset.regionId, null);
+            } else {
+                this.selectRegion(null);
+            }
+        });
+
+        this.surface.addEventListener('dblclick', () => {
+            if (this.tool !== SELECT_TOOL) {
+                this.finishDraft();
+            }
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (this.dragState) {
+                this.handleDrag(e);
+            } else if (this.draft.length > 0) {
+                this.renderDraft(this.toFieldShare(e));
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            if (this.dragState) {
+                this.endDrag();
+            }
+        });
+    }
+
+    initKeyboardListeners() {
+        document.addEventListener('keydown', (e) => {
+            // Only while the editor is on screen, and not while typing
+            if (this.surface.offsetParent === null || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+                return;
+            }
+
+            if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedId && !this.dragState) {
+                e.preventDefault();
+                this.removeSelected();
+            } else if (e.key === 'Escape') {
+                if (this.draft.length > 0) {
+                    this.draft = [];
+                    this.render();
+                } else {
+                    this.selectRegion(null);
+                }
+            } else if (e.key === 'Enter' && this.draft.length > 0) {
+                e.preventDefault();
+                this.finishDraft();
+            } else if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
+                // Ctrl/Cmd + Z - Undo
+                e.preventDefault();
+                this.undo();
+            } else if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || (e.key.toLowerCase() === 'z' && e.shiftKey))) {
+                // Ctrl/Cmd + Y or Ctrl/Cmd + Shift + Z - Redo
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    /**
+     * Add a corner to the outline being drawn; clicking near the first
+     * corner closes it
+     */
+    addDraftCorner(point, e) {
+        if (this.draft.length >= 3) {
+            const rect = this.surface.getBoundingClientRect();
+            const [firstX, firstY] = this.draft[0];
+            const distance = Math.hypot(
+                e.clientX - (rect.left + firstX * rect.width),
+                e.clientY - (rect.top + firstY * rect.height)
+            );
+            if (distance <= CLOSE_DISTANCE) {
+                this.finishDraft();
+                return;
+            }
+        }
+        this.draft.push(point);
+        this.renderDraft(point);
+    }
+
+    /**
+     * Turn the outline being drawn into a region of the current tool's type
+     */
+    finishDraft() {
+        // A double-click lands its clicks on the same spot
+        const corners = this.draft.filter((point, index) => index === 0 ||
+            Math.hypot(point[0] - this.draft[index - 1][0], point[1] - this.draft[index - 1][1]) >= MIN_CORNER_GAP);
+        this.draft = [];
+
+        if (corners.length < 3) {
+            this.render();
+            return;
+        }
+        this.regions.push({ id: this.createRegionId(), type: this.tool, points: corners });
+        this.markEdited();
+    }
+
+    /**
+     * Start dragging a whole region, or one corner of it when index is given
+     */
+    startDrag(point, regionId, index) {
+        const region = this.regions.find(candidate => candidate.id === regionId);
+        if (!region) return;
+
+        this.dragState = {
+            region: region,
+            index: index,
+            start: point,
+            originalPoints: region.points.map(corner => [...corner]),
+            moved: false
+        };
+    }
+
+    handleDrag(e) {
+        const { region, index, start, originalPoints } = this.dragState;
+        const [x, y] = this.toFieldShare(e);
+
+        if (index !== null) {
+            region.points[index] = [x, y];
+        } else {
+            // Keep the whole region on the field
+            const xs = originalPoints.map(corner => corner[0]);
+            const ys = originalPoints.map(corner => corner[1]);
+            const dx = Math.max(-Math.min(...xs), Math.min(1 - Math.max(...xs), x - start[0]));
+            const dy = Math.max(-Math.min(...ys), Math.min(1 - Math.max(...ys), y - start[1]));
+            region.points = originalPoints.map(([cx, cy]) => [
+                Math.round((cx + dx) * 1000) / 1000,
+                Math.round((cy + dy) * 1000) / 1000
+            ]);
+        }
+
+        this.dragState.moved = true;
+        this.render();
+    }
+
+    endDrag() {
+        const moved = this.dragState.moved;
+        this.dragState = null;
+        if (moved) {
+            this.markEdited();
+        }
+    }
+
+    /**
+     * Save current state to history for undo
+     */
+    saveHistory() {
+        const state = {
+            seed: this.seed,
+            regions: JSON.parse(JSON.stringify(this.regions))
+        };
+
+        // Remove any history after current index
+        this.history = this.history.slice(0, this.historyIndex + 1);
+
+        this.history.push(state);
+        this.historyIndex++;
+
+        // Limit history size
+        if (this.history.length > this.maxHistorySize) {
+            this.history.shift();
+            this.historyIndex--;
+        }
+    }
+
+    /**
+     * Undo last edit
+     */
+    undo() {
+        if (this.historyIndex > 0) {
+            this.historyIndex--;
+            this.restoreState(this.history[this.historyIndex]);
+        }
+    }
+
+    /**
+     * Redo previously undone edit
+     */
+    redo() {
+        if (this.historyIndex < this.history.length - 1) {
+            this.historyIndex++;
+            this.restoreState(this.history[this.historyIndex]);
+        }
+    }
+
+    /**
+     * Restore the map from history
+     */
+    restoreState(state) {
+        this.seed = state.seed;
+        this.regions = JSON.parse(JSON.stringify(state.regions));
+        this.selectedId = null;
+        this.draft = [];
+        this.render();
+        if (this.onChange) {
+            this.onChange(this.getTerrain());
+        }
+    }
+
+    /**
+     * Redraw the regions, the selected region's corner handles and the
+     * outline being drawn
+     */
+    render() {
+        this.surface.innerHTML = '';
+
+        const svg = createTerrainSVG();
+        this.surface.appendChild(svg);
+        for (const region of this.regions) {
+            const polygon = createTerrainPolygon(region);
+            polygon.classList.toggle('selected', region.id === this.selectedId);
+            svg.appendChild(polygon);
+            this.surface.appendChild(createTerrainLabel(region));
+        }
+
+        this.draftLine = document.createElementNS(SVG_NS, 'polyline');
+        this.draftLine.setAttribute('class', 'terrain-draft');
+        this.draftLine.setAttribute('vector-effect', 'non-scaling-stroke');
+        svg.appendChild(this.draftLine);
+        this.renderDraft(null);
+
+        const selected = this.regions.find(region => region.id === this.selectedId);
+        if (selected && this.tool === SELECT_TOOL) {
+            selected.points.forEach(([x, y], index) => {
+                const handle = document.createElement('div');
+                handle.className = 'terrain-handle';
+                handle.dataset.index = index;
+                handle.style.left = `${x * 100}%`;
+                handle.style.top = `${y * 100}%`;
+                this.surface.appendChild(handle);
+            });
+        }
+    }
+
+    /**
+     * Outline being drawn, running on to the mouse when given
+     */
+    renderDraft(pointer) {
+        const corners = pointer && this.draft.length > 0 ? [...this.draft, pointer] : this.draft;
+        this.draftLine.setAttribute('points', corners.map(([x, y]) => `${x * 100},${y * 100}`).join(' '));
+    }
+}
+
+export default TerrainEditor;
@@ -0,0 +1,78 @@
+/**
+ * Terrain Layer
+ * DOM drawing of terrain regions for the setup pages: an SVG stretched over
+ * its container, since region points are shares of the field, with each
+ * region named at its centre. The battle view draws terrain on its own
+ * canvas (battle-renderer.js).
+ */
+
+import { TERRAIN_TYPES, TERRAIN } from './constants/terrain.js';
+import { normalizeTerrain } from './simulation/terrain.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Centre of a region's points, as shares of the field
+ */
+export function getRegionCentre(region) {
+    const count = region.points.length;
+    return {
+        x: region.points.reduce((total, [x]) => total + x, 0) / count,
+        y: region.points.reduce((total, [, y]) => total + y, 0) / count
+    };
+}
+
+/**
+ * SVG polygon for a region, in a 0-100 viewBox
+ */
+export function createTerrainPolygon(region) {
+    const terrainType = TERRAIN_TYPES[region.type];
+    const polygon = document.createElementNS(SVG_NS, 'polygon');
+    polygon.setAttribute('points', region.points.map(([x, y]) => `${x * 100},${y * 100}`).join(' '));
+    polygon.setAttribute('fill', terrainType.color);
+    polygon.setAttribute('fill-opacity', TERRAIN.opacity);
+    polygon.setAttribute('stroke', terrainType.color);
+    polygon.setAttribute('stroke-width', '1.5');
+    polygon.setAttribute('vector-effect', 'non-scaling-stroke');
+    polygon.dataset.regionId = region.id;
+    return polygon;
+}
+
+/**
+ * Stretched SVG for terrain drawing, in a 0-100 viewBox
+ */
+export function createTerrainSVG() {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', '0 0 100 100');
+    svg.setAttribute('preserveAspectRatio', 'none');
+    return svg;
+}
+
+/**
+ * Label at a region's centre: its own name, or its terrain type's
+ */
+export function createTerrainLabel(region) {
+    const centre = getRegionCentre(region);
+    const label = document.createElement('div');
+    label.className = 'terrain-label';
+    label.textContent = region.name || TERRAIN_TYPES[region.type].label;
+    label.style.left = `${centre.x * 100}%`;
+    label.style.top = `${centre.y * 100}%`;
+    return label;
+}
+
+/**
+ * Read-only layer showing a battle's terrain, to place under other content
+ */
+export function createTerrainLayer(terrain) {
+    const layer = document.createElement('div');
+    layer.className = 'terrain-layer';
+
+    const svg = createTerrainSVG();
+    layer.appendChild(svg);
+    for (const region of normalizeTerrain(terrain).regions) {
+        svg.appendChild(createTerrainPolygon(region));
+        layer.appendChild(createTerrainLabel(region));
+    }
+    return layer;
+}
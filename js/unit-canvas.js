@@ -3,7 +3,13 @@
  * Handles unit visualization, drag/drop, and resizing on the battlefield
  */
 
-import { UNIT_TYPES, getUnitVisualSize } from './constants/units.js';
+import { UNIT_TYPES, UNIT_SHAPES, ARMY_COLORS, getUnitVisualSize } from './constants/units.js';
+import { ENEMY_VISIBILITY } from './constants/deployment.js';
+import { createTerrainLayer } from './terrain-layer.js';
+import { createDeploymentLayer, getZoneBounds } from './deployment-zones.js';
+import { describePersonalityModifiers } from './simulation/personality.js';
+import { getCharacterEffects, describeEffect } from './simulation/effects.js';
+import { resolveCharacterLinks } from './character-links.js';
 
 export class UnitCanvas {
     constructor(canvasElement, armyBuilder) {
@@ -12,7 +18,11 @@ export class UnitCanvas {
         this.selectedUnit = null;
         this.dragState = null;
         this.resizeState = null;
+        this.rotateState = null;
         this.defaultSpawnSettings = {}; // Store default spawn settings per unit type
+        this.terrainLayer = null;       // Terrain drawn under the units, see renderTerrain()
+        this.deploymentLayer = null;    // Deployment zones over the terrain, see renderDeploymentZones()
+        this.opponentLayer = null;      // The other army, read-only, see renderOpponent()
         
         // Undo/Redo system
         this.history = [];
@@ -22,6 +32,7 @@ export class UnitCanvas {
         // Character panel
         this.characterPanel = null;
         this.availableCharacters = []; // Store loaded characters
+        this.importedElements = new Map(); // Abilities, traits and objects from an imported world, by ID
         
         this.initEventListeners();
         this.initKeyboardListeners();
@@ -78,6 +89,9 @@ export class UnitCanvas {
         // Add resize handles to wrapper
         this.addResizeHandles(wrapper);
         
+        // Add facing arrow and rotate handle
+        this.addFacingControls(wrapper, unit);
+        
         // Add icon buttons to wrapper
         this.addIconButtons(wrapper, unit);
         
@@ -104,6 +118,46 @@ export class UnitCanvas {
         });
     }
     
+    /**
+     * Add the facing arrow and the rotate handle to a unit element.
+     * Facing is in compass degrees (0 = up); null lets the battle face the enemy.
+     */
+    addFacingControls(element, unit) {
+        const indicator = document.createElement('div');
+        indicator.className = 'facing-indicator';
+        element.appendChild(indicator);
+        
+        const handle = document.createElement('div');
+        handle.className = 'rotate-handle';
+        handle.title = 'Drag to set facing (Shift for free rotation), double-click for automatic';
+        handle.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.saveHistory();
+            this.armyBuilder.updateUnit(unit.id, { facing: null });
+            this.updateUnitElement(unit.id);
+        });
+        element.appendChild(handle);
+        
+        this.updateFacingIndicator(element, unit.facing);
+    }
+    
+    /**
+     * Point the facing arrow, hiding it while facing is automatic
+     */
+    updateFacingIndicator(wrapper, facing) {
+        const indicator = wrapper.querySelector('.facing-indicator');
+        if (!indicator) return;
+        
+        const isSet = facing !== null && facing !== undefined;
+        indicator.classList.toggle('visible', isSet);
+        indicator.style.transform = isSet ? `rotate(${facing}deg)` : '';
+        
+        const handle = wrapper.querySelector('.rotate-handle');
+        if (handle) {
+            handle.dataset.facing = isSet ? `${facing}°` : 'auto';
+        }
+    }
+    
     /**
      * Render a unit on the canvas
      */
@@ -123,9 +177,10 @@ export class UnitCanvas {
      * Render all units
      */
     renderAllUnits() {
-        // Clear canvas
+        // Clear canvas, keeping the terrain, deployment zones and opposing army underneath
         this.canvas.innerHTML = '';
         this.armyBuilder.unitElements.clear();
+        this.restoreLayers();
         
         // Render each unit
         for (const unit of this.armyBuilder.army.units) {
@@ -133,6 +188,101 @@ export class UnitCanvas {
         }
     }
     
+    /**
+     * Draw the battle's terrain regions under the units. Points are shares
+     * of the field, so the layer stretches with the canvas.
+     */
+    renderTerrain(terrain) {
+        if (this.terrainLayer) {
+            this.terrainLayer.remove();
+        }
+        this.terrainLayer = createTerrainLayer(terrain);
+        this.canvas.prepend(this.terrainLayer);
+    }
+    
+    /**
+     * Draw both players' deployment zones over the terrain, this player's
+     * marked as theirs
+     */
+    renderDeploymentZones(deployment) {
+        if (this.deploymentLayer) {
+            this.deploymentLayer.remove();
+        }
+        this.deploymentLayer = createDeploymentLayer(deployment, this.armyBuilder.playerId);
+        if (this.terrainLayer) {
+            this.terrainLayer.after(this.deploymentLayer);
+        } else {
+            this.canvas.prepend(this.deploymentLayer);
+        }
+    }
+    
+    /**
+     * Draw the other player's units, read-only, as far as the battle lets
+     * this player see them: outlines of where they stand, or in full
+     * @param {Object} army - The opposing army from battleConfig.getArmy()
+     * @param {string} visibility - Key of ENEMY_VISIBILITY
+     */
+    renderOpponent(army, visibility) {
+        if (this.opponentLayer) {
+            this.opponentLayer.remove();
+            this.opponentLayer = null;
+        }
+        const detail = ENEMY_VISIBILITY[visibility]?.units;
+        if (!detail) return;
+        
+        const layer = document.createElement('div');
+        layer.className = 'opponent-layer';
+        for (const unit of army.units) {
+            const size = getUnitVisualSize(unit.formation);
+            const element = document.createElement('div');
+            element.className = detail === 'full' ? 'opponent-unit' : 'opponent-ghost';
+            element.style.left = unit.position.x + 'px';
+            element.style.top = unit.position.y + 'px';
+            element.style.width = size.width + 'px';
+            element.style.height = size.height + 'px';
+            element.style.borderColor = ARMY_COLORS[army.playerId];
+            
+            if (detail === 'full') {
+                const shape = document.createElement('div');
+                shape.className = `unit unit-${unit.type}`;
+                this.applyUnitShape(shape, unit.type);
+                
+                const soldierCount = document.createElement('div');
+                soldierCount.className = 'unit-soldier-count';
+                soldierCount.textContent = unit.soldierCount;
+                shape.appendChild(soldierCount);
+                
+                const nameLabel = document.createElement('div');
+                nameLabel.className = 'unit-name-label';
+                nameLabel.textContent = `${unit.name} (${UNIT_TYPES[unit.type].name})`;
+                
+                element.appendChild(shape);
+                element.appendChild(nameLabel);
+            }
+            layer.appendChild(element);
+        }
+        
+        this.opponentLayer = layer;
+        const below = this.deploymentLayer || this.terrainLayer;
+        if (below) {
+            below.after(layer);
+        } else {
+            this.canvas.prepend(layer);
+        }
+    }
+    
+    /**
+     * Put the terrain, deployment zones and opposing army back under the
+     * units after the canvas was cleared
+     */
+    restoreLayers() {
+        for (const layer of [this.opponentLayer, this.deploymentLayer, this.terrainLayer]) {
+            if (layer) {
+                this.canvas.prepend(layer);
+            }
+        }
+    }
+    
     /**
      * Update unit element after changes
      */
@@ -168,6 +318,8 @@ export class UnitCanvas {
         if (nameLabel) {
             nameLabel.textContent = unit.name;
         }
+        
+        this.updateFacingIndicator(wrapper, unit.facing);
     }
     
     /**
@@ -200,8 +352,12 @@ export class UnitCanvas {
         this.canvas.addEventListener('mousedown', (e) => {
             const unitWrapper = e.target.closest('.unit-wrapper');
             const resizeHandle = e.target.closest('.resize-handle');
+            const rotateHandle = e.target.closest('.rotate-handle');
             
-            if (resizeHandle && unitWrapper) {
+            if (rotateHandle && unitWrapper) {
+                // Start rotate
+                this.startRotate(e, unitWrapper);
+            } else if (resizeHandle && unitWrapper) {
                 // Start resize
                 this.startResize(e, unitWrapper, resizeHandle);
             } else if (unitWrapper) {
@@ -213,27 +369,31 @@ export class UnitCanvas {
             }
         });
         
-        // Drag/resize movement
+        // Drag/resize/rotate movement
         document.addEventListener('mousemove', (e) => {
             if (this.dragState) {
                 this.handleDrag(e);
             } else if (this.resizeState) {
                 this.handleResize(e);
+            } else if (this.rotateState) {
+                this.handleRotate(e);
             }
         });
         
-        // Drag/resize end
+        // Drag/resize/rotate end
         document.addEventListener('mouseup', (e) => {
             if (this.dragState) {
                 this.endDrag(e);
             } else if (this.resizeState) {
                 this.endResize(e);
+            } else if (this.rotateState) {
+                this.endRotate(e);
             }
         });
         
         // Prevent text selection during drag
         this.canvas.addEventListener('selectstart', (e) => {
-            if (this.dragState || this.resizeState) {
+            if (this.dragState || this.resizeState || this.rotateState) {
                 e.preventDefault();
             }
         });
@@ -288,7 +448,15 @@ export class UnitCanvas {
         newX = Math.max(0, Math.min(newX, canvasRect.width - elementWidth));
         newY = Math.max(0, Math.min(newY, canvasRect.height - elementHeight));
         
-        // Check collision
+        // Constrain to the player's deployment zone
+        const zone = this.armyBuilder.getDeploymentZone();
+        if (zone) {
+            const bounds = getZoneBounds(zone);
+            newX = Math.max(bounds.left, Math.min(newX, bounds.right - elementWidth));
+            newY = Math.max(bounds.top, Math.min(newY, bounds.bottom - elementHeight));
+        }
+        
+        // Check collision and, for zones that are not rectangles, the zone itself
         const validation = this.armyBuilder.validatePlacement(
             this.dragState.unitId,
             { x: newX, y: newY }
@@ -441,15 +609,10 @@ export class UnitCanvas {
         const newLeft = parseInt(this.resizeState.element.style.left);
         const newTop = parseInt(this.resizeState.element.style.top);
         
-        // Update unit with new size
-        const result = this.armyBuilder.resizeUnit(this.resizeState.unitId, newWidth, newHeight);
+        // Update unit with new size and position, if it still fits its deployment zone
+        const result = this.armyBuilder.resizeUnit(this.resizeState.unitId, newWidth, newHeight, { x: newLeft, y: newTop });
         
         if (result.success) {
-            // Update position if it changed
-            this.armyBuilder.updateUnit(this.resizeState.unitId, {
-                position: { x: newLeft, y: newTop }
-            });
-            
             // Refresh display
             this.updateUnitElement(this.resizeState.unitId);
         } else {
@@ -470,26 +633,77 @@ export class UnitCanvas {
         this.resizeState = null;
     }
     
+    /**
+     * Start rotating a unit to set its facing
+     */
+    startRotate(e, wrapperElement) {
+        this.saveHistory();
+        
+        const unitId = wrapperElement.dataset.unitId;
+        const unit = this.armyBuilder.army.units.find(u => u.id === unitId);
+        this.selectUnit(unitId);
+        
+        this.rotateState = {
+            unitId: unitId,
+            element: wrapperElement,
+            originalFacing: unit ? unit.facing ?? null : null,
+            facing: unit ? unit.facing ?? null : null
+        };
+        
+        e.preventDefault();
+        e.stopPropagation();
+    }
+    
+    /**
+     * Handle rotate movement: face the mouse, snapping to 15° unless Shift is held
+     */
+    handleRotate(e) {
+        if (!this.rotateState) return;
+        
+        const rect = this.rotateState.element.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+        
+        // Compass degrees: 0 = up, clockwise
+        let facing = Math.atan2(e.clientX - centerX, centerY - e.clientY) * 180 / Math.PI;
+        if (!e.shiftKey) {
+            facing = Math.round(facing / 15) * 15;
+        }
+        facing = ((Math.round(facing) % 360) + 360) % 360;
+        
+        this.rotateState.facing = facing;
+        this.updateFacingIndicator(this.rotateState.element, facing);
+    }
+    
+    /**
+     * End rotate operation and store the new facing
+     */
+    endRotate(e) {
+        if (!this.rotateState) return;
+        
+        const { unitId, facing, originalFacing } = this.rotateState;
+        if (facing !== originalFacing) {
+            this.armyBuilder.updateUnit(unitId, { facing: facing });
+        }
+        
+        this.updateUnitElement(unitId);
+        this.rotateState = null;
+    }
+    
     /**
      * Apply unit shape (pentagon for cavalry, hexagon for light infantry)
      */
     applyUnitShape(element, type) {
         const unitType = UNIT_TYPES[type];
+        const shape = UNIT_SHAPES[type];
         
         // Set background color
         element.style.background = unitType.color;
         
-        // Apply clip-path for non-rectangular shapes
-        if (type === 'cavalry') {
-            // Pentagon shape
-            element.style.clipPath = 'polygon(50% 0%, 100% 38%, 82% 100%, 18% 100%, 0% 38%)';
-        } else if (type === 'light') {
-            // Hexagon shape  
-            element.style.clipPath = 'polygon(25% 0%, 75% 0%, 100% 50%, 75% 100%, 25% 100%, 0% 50%)';
-        } else {
-            // Rectangle for hoplites - no clip-path
-            element.style.clipPath = '';
-        }
+        // Apply clip-path for non-rectangular shapes (hoplites have none)
+        element.style.clipPath = shape
+            ? `polygon(${shape.map(([x, y]) => `${x}% ${y}%`).join(', ')})`
+            : '';
     }
     
     /**
@@ -566,9 +780,17 @@ export class UnitCanvas {
         
         const targetFormation = { ...unit.formation };
         const targetSoldierCount = unit.soldierCount;
+        const skipped = [];
         
         for (const otherUnit of this.armyBuilder.army.units) {
             if (otherUnit.type === unit.type && otherUnit.id !== unit.id) {
+                // Leave units the new shape would push out of the zone or into a neighbour
+                const placement = this.armyBuilder.validatePlacement(otherUnit.id, otherUnit.position, targetFormation);
+                if (!placement.valid) {
+                    skipped.push(otherUnit.name);
+                    continue;
+                }
+                
                 const result = this.armyBuilder.updateUnit(otherUnit.id, {
                     soldierCount: targetSoldierCount,
                     formation: { ...targetFormation }
@@ -579,6 +801,10 @@ export class UnitCanvas {
                 }
             }
         }
+        
+        if (skipped.length > 0) {
+            alert(`Not enough room to reshape ${skipped.join(', ')}; they were left as they were.`);
+        }
     }
     
     /**
@@ -734,6 +960,7 @@ export class UnitCanvas {
         this.armyBuilder.army.units = [];
         this.armyBuilder.unitElements.clear();
         this.canvas.innerHTML = '';
+        this.restoreLayers();
         
         // Restore units
         state.units.forEach(unitData => {
@@ -792,7 +1019,15 @@ export class UnitCanvas {
                 }
             }
         }
-        
+
+        // Keep the copy inside the player's deployment zone
+        const zone = this.armyBuilder.getDeploymentZone();
+        if (zone) {
+            const bounds = getZoneBounds(zone);
+            newX = Math.max(bounds.left, Math.min(newX, bounds.right - unitSize.width));
+            newY = Math.max(bounds.top, Math.min(newY, bounds.bottom - unitSize.height));
+        }
+
         // Create a new unit with same properties but aligned position
         const newUnit = {
             ...unit,
@@ -961,6 +1196,8 @@ export class UnitCanvas {
                     <span class="character-name">${unit.general.name}</span>
                     <button class="remove-character" data-role="general">×</button>
                 </div>
+                ${this.renderPersonalityModifiers(unit.general)}
+                ${this.renderCharacterEffects(unit.general)}
             `;
         } else {
             generalSlot.innerHTML = '<div class="empty-slot">No general assigned</div>';
@@ -974,6 +1211,7 @@ export class UnitCanvas {
                     <span class="character-name">${soldier.name}</span>
                     <button class="remove-character" data-role="soldier" data-character-id="${soldier.id}">×</button>
                 </div>
+                ${this.renderCharacterEffects(soldier)}
             `).join('');
         } else {
             soldiersList.innerHTML = '<div class="empty-slot">No soldiers assigned</div>';
@@ -1088,6 +1326,9 @@ export class UnitCanvas {
                 // Look for Character elements
                 if (data.elements && data.elements.Character) {
                     this.availableCharacters = data.elements.Character;
+                    for (const type of ['Ability', 'Trait', 'Object']) {
+                        (data.elements[type] || []).forEach(element => this.importedElements.set(element.id, element));
+                    }
                     console.log(`✅ Loaded ${this.availableCharacters.length} characters from import`);
                     console.log('👥 First character sample:', this.availableCharacters[0] ? {
                         id: this.availableCharacters[0].id,
@@ -1224,6 +1465,7 @@ export class UnitCanvas {
                     <div class="character-info">
                         <div style="font-weight: 500; color: var(--text-primary); margin-bottom: 2px;">${name}</div>
                         <div style="font-size: 12px; color: var(--text-secondary);">${description}</div>
+                        ${this.renderPersonalityModifiers(character)}
                     </div>
                     <div class="character-assignment-buttons">
                         ${!unit.general ? `<button class="assign-btn assign-general" data-character-id="${character.id}" data-role="general" title="Assign as General">👑</button>` : ''}
@@ -1257,6 +1499,62 @@ export class UnitCanvas {
         }
     }
     
+    /**
+     * What a character's personality would do for a unit they lead as general
+     */
+    renderPersonalityModifiers(character) {
+        const lines = describePersonalityModifiers(character).map(line => `
+            <div class="personality-modifier" title="${line.field}: ${line.score ?? 'not set'}">
+                <span class="personality-label">${line.label}</span> ${line.effect}
+            </div>
+        `).join('');
+
+        return `<div class="personality-modifiers"><div class="personality-heading">As general:</div>${lines}</div>`;
+    }
+
+    /**
+     * Battle effects of an assigned character's abilities, traits and objects
+     */
+    renderCharacterEffects(character) {
+        if (!character.linked) return '';
+
+        const effects = getCharacterEffects(character);
+        if (effects.length === 0) return '';
+
+        const lines = effects.map(effect => `
+            <div class="personality-modifier">
+                <span class="personality-label">${effect.source}</span> ${describeEffect(effect)}
+            </div>
+        `).join('');
+        return `<div class="personality-modifiers character-effects">${lines}</div>`;
+    }
+
+    /**
+     * Resolve an assigned character's abilities, traits and objects and keep
+     * them on the unit so the battle can apply their effects
+     */
+    async loadCharacterLinks(unitId, character, role) {
+        const linked = await resolveCharacterLinks(window.apiService, character, this.importedElements);
+
+        // The assignment may have changed while the links loaded
+        const unit = this.armyBuilder.army.units.find(u => u.id === unitId);
+        if (!unit) return;
+
+        if (role === 'general') {
+            if (unit.general?.id !== character.id) return;
+            this.armyBuilder.updateUnit(unitId, { general: { ...unit.general, linked } });
+        } else {
+            if (!unit.soldiers.some(soldier => soldier.id === character.id)) return;
+            this.armyBuilder.updateUnit(unitId, {
+                soldiers: unit.soldiers.map(soldier => (soldier.id === character.id ? { ...soldier, linked } : soldier))
+            });
+        }
+
+        if (this.characterPanel && this.characterPanel.dataset.unitId === unitId) {
+            this.updateCharacterPanel(this.armyBuilder.army.units.find(u => u.id === unitId));
+        }
+    }
+
     /**
      * Edit unit name inline
      */
@@ -1346,10 +1644,11 @@ export class UnitCanvas {
                 }
             }
             
-            // Use army builder's updateUnit method to persist changes
+            // Keep the full OnlyWorlds record: the simulation reads the
+            // general's personality fields
             this.armyBuilder.updateUnit(unitId, {
                 general: {
-                    id: character.id,
+                    ...character,
                     name: character.name || 'Unnamed'
                 }
             });
@@ -1374,6 +1673,8 @@ export class UnitCanvas {
         this.updateCharacterPanel(updatedUnit);
         this.updateUnitCharacterIndicators(unitId);
         this.displayAvailableCharacters();
+
+        this.loadCharacterLinks(unitId, character, role);
     }
 }
 
@@ -0,0 +1,57 @@
+/**
+ * Battle simulator tests. Run with `npm test` (node's built-in runner, no
+ * dependencies).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BattleSimulator } from '../js/simulation/battle-simulator.js';
+import RuleBasedAI from '../js/simulation/unit-ai.js';
+
+function createUnit(id, type, soldierCount, x, y) {
+    return {
+        id, type, name: id, soldierCount,
+        formation: { width: 10, depth: Math.ceil(soldierCount / 10) },
+        position: { x, y },
+        cost: soldierCount, general: null, soldiers: [], hierarchy: 1
+    };
+}
+
+function createConfig() {
+    return {
+        id: 'test-battle',
+        name: 'Test Battle',
+        players: [{ name: 'A', maxPoints: 1000 }, { name: 'B', maxPoints: 1000 }],
+        armies: [
+            { playerId: 0, playerName: 'A', units: [
+                createUnit('a1', 'hoplite', 120, 200, 300),
+                createUnit('a2', 'hoplite', 100, 400, 300)
+            ] },
+            { playerId: 1, playerName: 'B', units: [
+                createUnit('b1', 'hoplite', 120, 200, 50),
+                createUnit('b2', 'hoplite', 100, 400, 50)
+            ] }
+        ]
+    };
+}
+
+test('each unit decides once per decision interval', () => {
+    const calls = new Map();
+    const rules = new RuleBasedAI();
+    const ai = {
+        decide(situation) {
+            calls.set(situation.unit.id, (calls.get(situation.unit.id) || 0) + 1);
+            return rules.decide(situation);
+        }
+    };
+
+    const simulator = new BattleSimulator(createConfig(), { ai });
+    const ticks = simulator.decisionTicks * 10;
+    for (let tick = 0; tick < ticks; tick++) simulator.step();
+
+    assert.equal(calls.size, 4);
+    for (const [unitId, count] of calls) {
+        // One decision per interval, plus a few for orders gone stale
+        assert.ok(count <= 12, `${unitId} decided ${count} times in 10 intervals`);
+    }
+});